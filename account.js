@@ -1,31 +1,500 @@
-import { formatEther } from "viem";
+import dotenv from "dotenv";
+import { parseArgs } from "util";
+import { formatEther, formatGwei, decodeFunctionData, pad, toHex } from "viem";
 import qrcode from "qrcode-terminal";
 import { createClients } from "./clients.js";
+import { getActiveChain } from "./chains.js";
 import { getEthPriceInUsdc } from "./pricing.js";
+import { getBalances, formatUsdc } from "./dex.js";
+import { loadTransactionJournal } from "./fileService.js";
+import { getDiscoveredGames } from "./stateStore.js";
+import { isRangeTooLargeError } from "./eventListener.js";
+import { FULL_CONTRACT_ABI } from "./constants.js";
+
+dotenv.config();
+
+// Usage: yarn account [--json] [--history]
+//
+// Treasury report for the gamemaster account: balances, gas spent per game and
+// how many more games the ETH balance covers at the current base fee. Fees are
+// read from the receipt of every transaction in saved/tx_journal.txt, including
+// the L1 data fee on OP-stack chains. --history also finds the transactions of
+// discovered games the journal doesn't cover (games played before it existed)
+// from the contract's logs. --json prints the report for monitoring instead of
+// the QR code and tables.
+
+// Transactions every game sends; anything else for a game is counted as "other"
+const GAME_PURPOSES = ["commit", "storeBlockHash", "payout", "reveal"];
+
+// Journal purposes of the contract calls, for transactions found in the logs
+const PURPOSE_BY_FUNCTION = {
+  commitHash: "commit",
+  storeCommitBlockHash: "storeBlockHash",
+  payout: "payout",
+  revealHash: "reveal",
+  refund: "refund",
+};
+
+function emptyTotals() {
+  return { gasUsed: 0n, fee: 0n, l1Fee: 0n, transactions: 0 };
+}
+
+function addToTotals(totals, gasUsed, fee, l1Fee) {
+  totals.gasUsed += gasUsed;
+  totals.fee += fee;
+  totals.l1Fee += l1Fee;
+  totals.transactions++;
+}
+
+// Journal entries that were mined, once per transaction hash
+function getMinedTransactions(journal, address) {
+  const mined = new Map();
+  journal.forEach((entry) => {
+    if (
+      (entry.status === "confirmed" || entry.status === "reverted") &&
+      entry.hash &&
+      (!entry.from || entry.from.toLowerCase() === address.toLowerCase())
+    ) {
+      mined.set(entry.hash, entry);
+    }
+  });
+  return Array.from(mined.values());
+}
+
+// Transactions the gamemaster sent for the given games, found through the
+// contract's logs: every contract event is indexed by gameId first. Calls that
+// emit no event can't be found this way.
+async function findLoggedTransactions(
+  publicClient,
+  contractAddress,
+  address,
+  gameIds
+) {
+  if (gameIds.length === 0) {
+    return [];
+  }
+
+  const gameTopics = gameIds.map((gameId) => pad(toHex(BigInt(gameId))));
+  const maxChunkSize = BigInt(process.env.SCAN_BLOCK_RANGE || 10000);
+  const toBlock = await publicClient.getBlockNumber();
+  let chunkSize = maxChunkSize;
+  let start = process.env.CONTRACT_DEPLOY_BLOCK
+    ? BigInt(process.env.CONTRACT_DEPLOY_BLOCK)
+    : 0n;
+  const hashes = new Set();
+
+  while (start <= toBlock) {
+    const end =
+      start + chunkSize - 1n < toBlock ? start + chunkSize - 1n : toBlock;
+    try {
+      const logs = await publicClient.request({
+        method: "eth_getLogs",
+        params: [
+          {
+            address: contractAddress,
+            fromBlock: toHex(start),
+            toBlock: toHex(end),
+            topics: [null, gameTopics],
+          },
+        ],
+      });
+      logs.forEach((entry) => hashes.add(entry.transactionHash));
+      start = end + 1n;
+    } catch (error) {
+      if (!isRangeTooLargeError(error) || chunkSize === 1n) {
+        throw error;
+      }
+      chunkSize = chunkSize / 2n > 0n ? chunkSize / 2n : 1n;
+    }
+  }
+
+  const transactions = [];
+  for (const hash of hashes) {
+    const transaction = await publicClient.getTransaction({ hash });
+    if (transaction.from.toLowerCase() !== address.toLowerCase()) {
+      continue;
+    }
+
+    let call;
+    try {
+      call = decodeFunctionData({
+        abi: FULL_CONTRACT_ABI,
+        data: transaction.input,
+      });
+    } catch (error) {
+      continue;
+    }
+    if (!PURPOSE_BY_FUNCTION[call.functionName]) {
+      continue;
+    }
+    transactions.push({
+      hash,
+      gameId: call.args[0].toString(),
+      purpose: PURPOSE_BY_FUNCTION[call.functionName],
+    });
+  }
+  return transactions;
+}
+
+// Fees from each transaction's receipt. gasUsed x effectiveGasPrice is the L2
+// execution fee; OP-stack receipts add the L1 data fee separately. Falls back
+// to the journal's copy of the receipt when the node no longer has it.
+async function fetchFees(publicClient, transactions) {
+  const fees = [];
+  for (const entry of transactions) {
+    try {
+      const receipt = await publicClient.getTransactionReceipt({
+        hash: entry.hash,
+      });
+      const l1Fee = receipt.l1Fee || 0n;
+      fees.push({
+        ...entry,
+        gasUsed: receipt.gasUsed,
+        fee: receipt.gasUsed * receipt.effectiveGasPrice + l1Fee,
+        l1Fee,
+      });
+    } catch (error) {
+      if (!entry.gasUsed) {
+        console.error(`⚠️ No receipt for ${entry.hash}: ${error.message}`);
+        continue;
+      }
+      console.error(
+        `⚠️ No receipt for ${entry.hash}, using the journal (L1 fee unknown)`
+      );
+      const gasUsed = BigInt(entry.gasUsed);
+      fees.push({
+        ...entry,
+        gasUsed,
+        fee: gasUsed * BigInt(entry.effectiveGasPrice || 0),
+        l1Fee: 0n,
+      });
+    }
+  }
+  return fees;
+}
+
+function summarizeGas(transactions) {
+  const games = new Map(); // gameId -> { purpose -> totals }
+  const outsideGames = emptyTotals();
+
+  transactions.forEach((entry) => {
+    const { gasUsed, fee, l1Fee } = entry;
+
+    if (entry.gameId === null || entry.gameId === undefined) {
+      addToTotals(outsideGames, gasUsed, fee, l1Fee);
+      return;
+    }
+
+    const gameId = String(entry.gameId);
+    if (!games.has(gameId)) {
+      games.set(gameId, {
+        ...Object.fromEntries(
+          GAME_PURPOSES.map((purpose) => [purpose, emptyTotals()])
+        ),
+        other: emptyTotals(),
+        total: emptyTotals(),
+      });
+    }
+    const game = games.get(gameId);
+    const purpose = GAME_PURPOSES.includes(entry.purpose)
+      ? entry.purpose
+      : "other";
+    addToTotals(game[purpose], gasUsed, fee, l1Fee);
+    addToTotals(game.total, gasUsed, fee, l1Fee);
+  });
+
+  return { games, outsideGames };
+}
+
+// Averages over games that got as far as a reveal, so games still in progress
+// don't pull the cost down
+function averageGameCost(games) {
+  const completed = Array.from(games.values()).filter(
+    (game) => game.reveal.transactions > 0
+  );
+  if (completed.length === 0) {
+    return null;
+  }
+
+  const total = completed.reduce(
+    (sum, game) => ({
+      gasUsed: sum.gasUsed + game.total.gasUsed,
+      fee: sum.fee + game.total.fee,
+      l1Fee: sum.l1Fee + game.total.l1Fee,
+    }),
+    { gasUsed: 0n, fee: 0n, l1Fee: 0n }
+  );
+  const count = BigInt(completed.length);
+  return {
+    games: completed.length,
+    gasUsed: total.gasUsed / count,
+    fee: total.fee / count,
+    l1Fee: total.l1Fee / count,
+  };
+}
+
+async function estimateRunway(publicClient, ethBalance, average) {
+  if (!average) {
+    return null;
+  }
+
+  const block = await publicClient.getBlock();
+  const baseFeePerGas = block.baseFeePerGas || 0n;
+  let priorityFeePerGas = 0n;
+  try {
+    priorityFeePerGas = await publicClient.estimateMaxPriorityFeePerGas();
+  } catch (error) {
+    // Nodes without eth_maxPriorityFeePerGas; the base fee alone is a floor
+  }
+
+  // The L1 data fee doesn't follow the L2 base fee, so the average is reused
+  const costPerGame =
+    average.gasUsed * (baseFeePerGas + priorityFeePerGas) + average.l1Fee;
+  return {
+    baseFeePerGas,
+    priorityFeePerGas,
+    costPerGame,
+    games: costPerGame > 0n ? Number(ethBalance / costPerGame) : null,
+  };
+}
+
+function totalsToJson(totals) {
+  return {
+    gasUsed: totals.gasUsed.toString(),
+    fee: formatEther(totals.fee),
+    l1Fee: formatEther(totals.l1Fee),
+    transactions: totals.transactions,
+  };
+}
+
+async function buildReport(account, publicClient, history) {
+  const balances = await getBalances(publicClient, account.address);
+
+  let ethPrice = null;
+  let priceError = null;
+  try {
+    ethPrice = await getEthPriceInUsdc(publicClient);
+  } catch (error) {
+    priceError = error.message;
+  }
+
+  const transactions = getMinedTransactions(
+    loadTransactionJournal(),
+    account.address
+  );
+  if (history) {
+    const contractAddress =
+      process.env.CONTRACT_ADDRESS || getActiveChain().contractAddress;
+    const journalGames = new Set(
+      transactions
+        .filter((entry) => entry.gameId !== null && entry.gameId !== undefined)
+        .map((entry) => String(entry.gameId))
+    );
+    const missingGames = getDiscoveredGames(contractAddress)
+      .filter(
+        (game) =>
+          game.gamemaster.toLowerCase() === account.address.toLowerCase() &&
+          !journalGames.has(game.gameId)
+      )
+      .map((game) => game.gameId);
+    transactions.push(
+      ...(await findLoggedTransactions(
+        publicClient,
+        contractAddress,
+        account.address,
+        missingGames
+      ))
+    );
+  }
+
+  const { games, outsideGames } = summarizeGas(
+    await fetchFees(publicClient, transactions)
+  );
+  const average = averageGameCost(games);
+  const runway = await estimateRunway(publicClient, balances.eth, average);
+
+  return {
+    address: account.address,
+    chain: getActiveChain().name,
+    balances,
+    ethPrice,
+    priceError,
+    games,
+    outsideGames,
+    average,
+    runway,
+  };
+}
+
+function reportToJson(report) {
+  const usd = (wei) =>
+    report.ethPrice === null
+      ? null
+      : Number((parseFloat(formatEther(wei)) * report.ethPrice).toFixed(2));
+
+  return {
+    address: report.address,
+    chain: report.chain,
+    ethPrice: report.ethPrice,
+    priceError: report.priceError,
+    balances: {
+      eth: formatEther(report.balances.eth),
+      weth: formatEther(report.balances.weth),
+      usdc: formatUsdc(report.balances.usdc),
+      ethUsd: usd(report.balances.eth),
+    },
+    gas: {
+      games: Array.from(report.games.entries())
+        .sort(([a], [b]) => parseInt(a) - parseInt(b))
+        .map(([gameId, game]) => ({
+          gameId,
+          ...Object.fromEntries(
+            Object.entries(game).map(([purpose, totals]) => [
+              purpose,
+              totalsToJson(totals),
+            ])
+          ),
+        })),
+      outsideGames: totalsToJson(report.outsideGames),
+    },
+    averagePerGame: report.average && {
+      games: report.average.games,
+      gasUsed: report.average.gasUsed.toString(),
+      fee: formatEther(report.average.fee),
+      l1Fee: formatEther(report.average.l1Fee),
+      feeUsd: usd(report.average.fee),
+    },
+    runway: report.runway && {
+      baseFeeGwei: formatGwei(report.runway.baseFeePerGas),
+      priorityFeeGwei: formatGwei(report.runway.priorityFeePerGas),
+      costPerGame: formatEther(report.runway.costPerGame),
+      games: report.runway.games,
+    },
+  };
+}
+
+function printReport(report) {
+  const withUsd = (wei) =>
+    report.ethPrice === null
+      ? `${formatEther(wei)} ETH`
+      : `${formatEther(wei)} ETH ($${(
+          parseFloat(formatEther(wei)) * report.ethPrice
+        ).toFixed(2)})`;
+
+  console.log(`\n💰 ${report.address} on ${report.chain}`);
+  console.log(`  ${withUsd(report.balances.eth)}`);
+  console.log(`  ${formatEther(report.balances.weth)} WETH`);
+  console.log(`  ${formatUsdc(report.balances.usdc)} USDC`);
+  if (report.priceError) {
+    console.log(`⚠️ No ETH price: ${report.priceError}`);
+  }
+
+  const columns = [...GAME_PURPOSES, "other", "total"];
+  const gameIds = Array.from(report.games.keys()).sort(
+    (a, b) => parseInt(a) - parseInt(b)
+  );
+  if (gameIds.length > 0) {
+    console.log(`\n⛽ Gas fees per game (ETH)`);
+    console.log(
+      `  ${"Game".padEnd(8)}${columns
+        .map((column) => column.padEnd(16))
+        .join("")}`
+    );
+    gameIds.forEach((gameId) => {
+      const game = report.games.get(gameId);
+      console.log(
+        `  ${gameId.padEnd(8)}${columns
+          .map((column) =>
+            (game[column].transactions > 0
+              ? formatEther(game[column].fee)
+              : "-"
+            ).padEnd(16)
+          )
+          .join("")}`
+      );
+    });
+  } else {
+    console.log(
+      `\n⛽ No game transactions in saved/tx_journal.txt (try --history)`
+    );
+  }
+  if (report.outsideGames.transactions > 0) {
+    console.log(
+      `  Outside games (swaps, approvals): ${withUsd(report.outsideGames.fee)}`
+    );
+  }
+
+  if (report.average) {
+    console.log(
+      `\n📊 Average per completed game: ${withUsd(report.average.fee)}, ${
+        report.average.gasUsed
+      } gas (${report.average.games} games)`
+    );
+    if (report.average.l1Fee > 0n) {
+      console.log(
+        `  of which L1 data fee: ${formatEther(report.average.l1Fee)} ETH`
+      );
+    }
+  }
+
+  if (report.runway && report.runway.games !== null) {
+    console.log(
+      `🛣️ Runway: ~${report.runway.games} more games at ${formatGwei(
+        report.runway.baseFeePerGas
+      )} gwei base fee + ${formatGwei(
+        report.runway.priorityFeePerGas
+      )} gwei tip (${formatEther(report.runway.costPerGame)} ETH each)`
+    );
+  } else {
+    console.log(`🛣️ Runway: unknown until a game has been revealed`);
+  }
+  console.log(``);
+}
 
 async function main() {
+  let json;
+  let history;
+  try {
+    ({
+      values: { json, history },
+    } = parseArgs({
+      args: process.argv.slice(2),
+      options: {
+        json: { type: "boolean", default: false },
+        history: { type: "boolean", default: false },
+      },
+    }));
+  } catch (error) {
+    console.error(
+      `❌ ${error.message}\n\nUsage: yarn account [--json] [--history]`
+    );
+    process.exit(1);
+  }
+
+  // Client logs go to stderr so stdout is only the JSON report
+  if (json) {
+    process.env.LOG_TO_STDERR = "1";
+  }
+
   try {
     // Create clients and account
     const { account, publicClient } = createClients();
+    const report = await buildReport(account, publicClient, history);
+
+    if (json) {
+      console.log(JSON.stringify(reportToJson(report), null, 2));
+      return;
+    }
 
     // Generate QR code for the address
     qrcode.generate(account.address, { small: true });
-
-    // Get ETH balance and price
-    const [balance, ethPrice] = await Promise.all([
-      publicClient.getBalance({
-        address: account.address,
-      }),
-      getEthPriceInUsdc(publicClient),
-    ]);
-
-    const balanceInEth = formatEther(balance);
-    const balanceInUsd = (parseFloat(balanceInEth) * ethPrice).toFixed(2);
-
-    console.log(`\nETH ${balanceInEth} ($${balanceInUsd})`);
-    console.log(``);
+    printReport(report);
   } catch (error) {
-    console.error("❌ Error:", error.message);
+    if (json) {
+      console.log(JSON.stringify({ error: error.message }));
+    } else {
+      console.error("❌ Error:", error.message);
+    }
     process.exit(1);
   }
 }
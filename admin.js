@@ -0,0 +1,309 @@
+import dotenv from "dotenv";
+import { parseArgs } from "util";
+import { createClients, createPublicClientForChain } from "./clients.js";
+import { getActiveChain } from "./chains.js";
+import { log } from "./utils.js";
+import {
+  readGameSummary,
+  printGameSummary,
+  inspectGame,
+  printInspection,
+} from "./inspector.js";
+import {
+  sendContractTransaction,
+  commitHashForGame,
+  storeCommitBlockHashForGame,
+  revealGame,
+  payoutGame,
+  setDryRun,
+  getDryRunTransactions,
+} from "./contractService.js";
+
+dotenv.config();
+
+// Admin CLI behind yarn open, close, commit, reveal, payout and print
+//
+// Usage: yarn <command> --game <gameId> [--dry-run] [--json]
+//        yarn print --game <gameId>[-<lastGameId>] [--json]
+//
+// --dry-run simulates every contract write without sending it, and --json
+// prints one JSON result on stdout with logs moved to stderr.
+
+const BLOCK_HASH_POLL_MS = 5000;
+const BLOCK_HASH_MAX_POLLS = 24;
+const MAX_PRINT_RANGE = 100;
+
+const USAGE = `Usage: node admin.js <command> --game <gameId> [--dry-run] [--json]
+
+Commands:
+  open              Open the game for players (creator)
+  close             Close the game and fix its map size (creator)
+  commit            Commit a reveal hash and store the commit block hash
+  store-block-hash  Store the commit block hash and game URL
+  reveal            Reveal the committed value
+  payout            Pay the winners from saved/scores_<gameId>.txt
+  print             Inspect on-chain state and saved files; --game also
+                    takes a range like 40-45`;
+
+// Creator actions have no service function of their own
+async function sendCreatorTransaction(context, functionName, purpose) {
+  const { gameId, publicClient, walletClient, contractAddress } = context;
+  try {
+    const receipt = await sendContractTransaction(
+      gameId,
+      publicClient,
+      walletClient,
+      contractAddress,
+      functionName,
+      [BigInt(gameId)],
+      purpose
+    );
+    if (receipt.status !== "success") {
+      log(
+        `❌ ${purpose} transaction failed with status: ${receipt.status}`,
+        gameId
+      );
+      return false;
+    }
+    return true;
+  } catch (error) {
+    log(
+      `❌ Error in ${purpose}: ${error.shortMessage || error.message}`,
+      gameId
+    );
+    return false;
+  }
+}
+
+// The block hash can only be stored once the commit block is mined
+async function storeBlockHashWhenReady(context) {
+  const { gameId, publicClient, walletClient, contractAddress } = context;
+  for (let poll = 0; poll < BLOCK_HASH_MAX_POLLS; poll++) {
+    const stored = await storeCommitBlockHashForGame(
+      gameId,
+      publicClient,
+      walletClient,
+      contractAddress
+    );
+    if (stored) return true;
+    await new Promise((resolve) => setTimeout(resolve, BLOCK_HASH_POLL_MS));
+  }
+  log(`❌ Block hash still not stored - run store-block-hash later`, gameId);
+  return false;
+}
+
+const COMMANDS = {
+  open: (context) => sendCreatorTransaction(context, "openGame", "open"),
+  close: (context) => sendCreatorTransaction(context, "closeGame", "close"),
+  commit: async (context) => {
+    const { gameId, publicClient, walletClient, contractAddress, dryRun } =
+      context;
+    const committed = await commitHashForGame(
+      gameId,
+      publicClient,
+      walletClient,
+      contractAddress,
+      false
+    );
+    if (!committed || dryRun) return committed;
+    return storeBlockHashWhenReady(context);
+  },
+  "store-block-hash": (context) =>
+    storeCommitBlockHashForGame(
+      context.gameId,
+      context.publicClient,
+      context.walletClient,
+      context.contractAddress
+    ),
+  reveal: (context) =>
+    revealGame(
+      context.gameId,
+      context.publicClient,
+      context.walletClient,
+      context.contractAddress,
+      new Map(),
+      new Map(),
+      new Map()
+    ),
+  payout: (context) =>
+    payoutGame(
+      context.gameId,
+      context.publicClient,
+      context.walletClient,
+      context.contractAddress,
+      new Map(),
+      new Map(),
+      new Map()
+    ),
+};
+
+// Accepts one game id or an inclusive range like 40-45
+function parseGameIds(game) {
+  const match = /^(\d+)(?:-(\d+))?$/.exec(game || "");
+  if (!match) return null;
+  const first = parseInt(match[1]);
+  const last = match[2] ? parseInt(match[2]) : first;
+  if (last < first || last - first >= MAX_PRINT_RANGE) return null;
+  return Array.from({ length: last - first + 1 }, (_, index) =>
+    String(first + index)
+  );
+}
+
+// Exits non-zero when any game has inconsistencies, so it can run from cron
+async function printGames(gameIds, contractAddress, json) {
+  const publicClient = createPublicClientForChain();
+  const reports = [];
+  for (const gameId of gameIds) {
+    try {
+      reports.push(await inspectGame(publicClient, contractAddress, gameId));
+    } catch (error) {
+      reports.push({ gameId, error: error.shortMessage || error.message });
+    }
+  }
+
+  if (json) {
+    console.log(JSON.stringify({ command: "print", games: reports }, null, 2));
+  } else {
+    reports.forEach((report) => {
+      if (report.error) {
+        console.log(`\n❌ Game ${report.gameId}: ${report.error}`);
+      } else {
+        printInspection(report);
+      }
+    });
+    console.log();
+  }
+
+  const consistent = reports.every(
+    (report) => !report.error && report.issues.length === 0
+  );
+  process.exit(consistent ? 0 : 1);
+}
+
+function parseCommandLine(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      game: { type: "string" },
+      "dry-run": { type: "boolean", default: false },
+      json: { type: "boolean", default: false },
+    },
+  });
+  return {
+    command: positionals[0],
+    gameId: values.game,
+    dryRun: values["dry-run"],
+    json: values.json,
+  };
+}
+
+async function main() {
+  let options;
+  try {
+    options = parseCommandLine(process.argv.slice(2));
+  } catch (error) {
+    console.error(`❌ ${error.message}\n\n${USAGE}`);
+    process.exit(1);
+  }
+
+  const { command, gameId, dryRun, json } = options;
+  const gameIds = parseGameIds(gameId);
+  const validCommand = command === "print" || COMMANDS[command];
+  if (
+    !validCommand ||
+    !gameIds ||
+    (command !== "print" && gameIds.length > 1)
+  ) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  if (json) {
+    process.env.LOG_TO_STDERR = "1";
+  }
+  setDryRun(dryRun);
+
+  const contractAddress =
+    process.env.CONTRACT_ADDRESS || getActiveChain().contractAddress;
+  if (!contractAddress) {
+    console.error("❌ CONTRACT_ADDRESS not found in .env file");
+    process.exit(1);
+  }
+
+  if (command === "print") {
+    await printGames(gameIds, contractAddress, json);
+  }
+
+  try {
+    const { account, publicClient, walletClient } = createClients();
+    const context = {
+      gameId,
+      account,
+      publicClient,
+      walletClient,
+      contractAddress,
+      dryRun,
+    };
+
+    log(
+      `🛠️ ${command}${dryRun ? " (dry run)" : ""} as ${account.address}`,
+      gameId
+    );
+    const success = await COMMANDS[command](context);
+    const summary = await readGameSummary(
+      publicClient,
+      contractAddress,
+      gameId
+    );
+
+    if (json) {
+      console.log(
+        JSON.stringify(
+          {
+            command,
+            gameId,
+            dryRun,
+            success,
+            simulated: getDryRunTransactions().map((transaction) => ({
+              ...transaction,
+              args: transaction.args.map((arg) =>
+                typeof arg === "bigint" ? arg.toString() : arg
+              ),
+              gasEstimate: transaction.gasEstimate.toString(),
+            })),
+            game: summary,
+          },
+          null,
+          2
+        )
+      );
+    } else {
+      printGameSummary(summary);
+      console.log(
+        `\n${success ? "✅" : "❌"} ${command}${
+          dryRun ? " (dry run)" : ""
+        } ${success ? "succeeded" : "failed"}\n`
+      );
+    }
+
+    process.exit(success ? 0 : 1);
+  } catch (error) {
+    if (json) {
+      console.log(
+        JSON.stringify({
+          command,
+          gameId,
+          dryRun,
+          success: false,
+          error: error.message,
+        })
+      );
+    } else {
+      console.error("❌ Error:", error.message);
+    }
+    process.exit(1);
+  }
+}
+
+main();
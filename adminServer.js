@@ -0,0 +1,251 @@
+import express from "express";
+import crypto from "crypto";
+import { verifyMessage } from "viem";
+import { GamePhase } from "./constants.js";
+import { log, safeJsonConvert, markGameAsExpired } from "./utils.js";
+import { saveGameState, saveRetryState } from "./stateStore.js";
+import { getRpcEndpointReport } from "./clients.js";
+
+// Admin control-plane for the game manager
+//
+// Requests are authenticated with either:
+// - Authorization: Bearer <ADMIN_TOKEN>
+// - X-Admin-Timestamp + X-Admin-Signature, the gamemaster's signature of
+//   generateAdminMessage(method, path, timestamp)
+
+const SIGNATURE_MAX_AGE_MS = 5 * 60 * 1000;
+
+export function generateAdminMessage(method, path, timestamp) {
+  return `Game manager admin request\n\nMethod: ${method.toUpperCase()}\nPath: ${path}\nTimestamp: ${timestamp}`;
+}
+
+function tokensMatch(provided, expected) {
+  const providedBuffer = Buffer.from(provided);
+  const expectedBuffer = Buffer.from(expected);
+  return (
+    providedBuffer.length === expectedBuffer.length &&
+    crypto.timingSafeEqual(providedBuffer, expectedBuffer)
+  );
+}
+
+function describeGame(gameId, manager) {
+  const gameState = manager.gameStates.get(gameId);
+  const serverInfo = manager.activeGameServers.get(gameId);
+
+  return safeJsonConvert({
+    gameId,
+    phase: gameState.phase,
+    playerCount: gameState.playerCount ?? null,
+    mapSize: gameState.mapSize ?? null,
+    payoutSkipped: Boolean(gameState.payoutSkipped),
+    revealSkipped: Boolean(gameState.revealSkipped),
+    expired: Boolean(gameState.expired),
+    payoutRetryCount: manager.payoutRetryCount.get(gameId) || 0,
+    payoutLastRetryTime: manager.payoutLastRetryTime.get(gameId) || null,
+    revealRetryCount: manager.revealRetryCount.get(gameId) || 0,
+    revealLastRetryTime: manager.revealLastRetryTime.get(gameId) || null,
+    refundRetryCount: manager.refundRetryCount.get(gameId) || 0,
+    refunded: Boolean(gameState.refunded),
+    refundSkipped: Boolean(gameState.refundSkipped),
+    serverPort: serverInfo ? serverInfo.port : null,
+    lastUpdated: gameState.lastUpdated || null,
+  });
+}
+
+export function createAdminApp(manager) {
+  const app = express();
+  const usedSignatures = new Map(); // signature -> expiry time
+
+  app.use(express.json());
+
+  const authenticateAdmin = async (req, res, next) => {
+    const authHeader = req.headers["authorization"];
+    const adminToken = process.env.ADMIN_TOKEN;
+
+    if (authHeader && authHeader.startsWith("Bearer ")) {
+      if (adminToken && tokensMatch(authHeader.split(" ")[1], adminToken)) {
+        return next();
+      }
+      return res.status(403).json({ error: "Invalid admin token" });
+    }
+
+    const signature = req.headers["x-admin-signature"];
+    const timestamp = parseInt(req.headers["x-admin-timestamp"]);
+    if (!signature || !timestamp) {
+      return res.status(401).json({ error: "Admin credentials required" });
+    }
+
+    const now = Date.now();
+    if (Math.abs(now - timestamp) > SIGNATURE_MAX_AGE_MS) {
+      return res.status(401).json({ error: "Admin signature expired" });
+    }
+
+    for (const [usedSignature, expiresAt] of usedSignatures.entries()) {
+      if (expiresAt < now) usedSignatures.delete(usedSignature);
+    }
+    if (usedSignatures.has(signature)) {
+      return res.status(401).json({ error: "Admin signature already used" });
+    }
+
+    try {
+      const isValid = await verifyMessage({
+        address: manager.getGamemasterAddress(),
+        message: generateAdminMessage(req.method, req.originalUrl, timestamp),
+        signature,
+      });
+      if (!isValid) {
+        return res.status(403).json({ error: "Invalid admin signature" });
+      }
+    } catch (error) {
+      return res.status(403).json({ error: "Invalid admin signature" });
+    }
+
+    usedSignatures.set(signature, timestamp + SIGNATURE_MAX_AGE_MS);
+    next();
+  };
+
+  const requireGame = (req, res, next) => {
+    if (!manager.gameStates.has(req.params.gameId)) {
+      return res.status(404).json({ error: "Game not found" });
+    }
+    next();
+  };
+
+  app.use(authenticateAdmin);
+
+  app.get("/games", (req, res) => {
+    const games = Array.from(manager.gameStates.keys())
+      .sort((a, b) => parseInt(a) - parseInt(b))
+      .map((gameId) => describeGame(gameId, manager));
+
+    res.json({
+      success: true,
+      games,
+      count: games.length,
+      activeServers: Array.from(manager.activeGameServers.keys()),
+      completedGamesCount: manager.getCompletedGamesCount(),
+    });
+  });
+
+  app.get("/games/:gameId", requireGame, (req, res) => {
+    const { gameId } = req.params;
+    res.json({
+      success: true,
+      game: describeGame(gameId, manager),
+      state: safeJsonConvert(manager.gameStates.get(gameId)),
+    });
+  });
+
+  app.get("/rpc", (req, res) => {
+    res.json({ success: true, ...getRpcEndpointReport() });
+  });
+
+  // Clears the backoff so the game loop retries on its next cycle
+  app.post("/games/:gameId/retry-payout", requireGame, (req, res) => {
+    const { gameId } = req.params;
+    const gameState = manager.gameStates.get(gameId);
+    if (gameState.phase !== GamePhase.GAME_FINISHED) {
+      return res.status(409).json({
+        error: `Payout can only be retried in ${GamePhase.GAME_FINISHED}, game is ${gameState.phase}`,
+      });
+    }
+
+    const retryCount = manager.payoutRetryCount.get(gameId) || 0;
+    manager.payoutLastRetryTime.set(gameId, 0);
+    saveRetryState(manager.contractAddress, "payout", gameId, retryCount, 0);
+    log(`🛠️ Admin: payout retry requested`, gameId);
+
+    res.json({ success: true, game: describeGame(gameId, manager) });
+  });
+
+  app.post("/games/:gameId/retry-reveal", requireGame, (req, res) => {
+    const { gameId } = req.params;
+    const gameState = manager.gameStates.get(gameId);
+    if (gameState.phase !== GamePhase.PAYOUT_COMPLETE) {
+      return res.status(409).json({
+        error: `Reveal can only be retried in ${GamePhase.PAYOUT_COMPLETE}, game is ${gameState.phase}`,
+      });
+    }
+
+    const retryCount = manager.revealRetryCount.get(gameId) || 0;
+    manager.revealLastRetryTime.set(gameId, 0);
+    saveRetryState(manager.contractAddress, "reveal", gameId, retryCount, 0);
+    log(`🛠️ Admin: reveal retry requested`, gameId);
+
+    res.json({ success: true, game: describeGame(gameId, manager) });
+  });
+
+  app.post("/games/:gameId/retry-refund", requireGame, (req, res) => {
+    const { gameId } = req.params;
+    const gameState = manager.gameStates.get(gameId);
+    if (gameState.phase !== GamePhase.EXPIRED) {
+      return res.status(409).json({
+        error: `Refund can only be retried in ${GamePhase.EXPIRED}, game is ${gameState.phase}`,
+      });
+    }
+
+    const retryCount = manager.refundRetryCount.get(gameId) || 0;
+    manager.refundLastRetryTime.set(gameId, 0);
+    saveRetryState(manager.contractAddress, "refund", gameId, retryCount, 0);
+    log(`🛠️ Admin: refund retry requested`, gameId);
+
+    res.json({ success: true, game: describeGame(gameId, manager) });
+  });
+
+  app.post("/games/:gameId/stop", requireGame, async (req, res) => {
+    const { gameId } = req.params;
+    if (!manager.activeGameServers.has(gameId)) {
+      return res.status(409).json({ error: "No game server running" });
+    }
+
+    log(`🛠️ Admin: stopping game server`, gameId);
+    await manager.stopGameServer(gameId);
+    res.json({ success: true, game: describeGame(gameId, manager) });
+  });
+
+  app.post("/games/:gameId/expire", requireGame, (req, res) => {
+    const { gameId } = req.params;
+    log(`🛠️ Admin: marking game as expired`, gameId);
+    markGameAsExpired(gameId, manager.gameStates, GamePhase);
+
+    const gameState = manager.gameStates.get(gameId);
+    gameState.expiredReason = "Marked expired by admin";
+    saveGameState(manager.contractAddress, gameId, gameState);
+
+    res.json({ success: true, game: describeGame(gameId, manager) });
+  });
+
+  app.post("/games/:gameId/refresh", requireGame, async (req, res) => {
+    const { gameId } = req.params;
+    log(`🛠️ Admin: refreshing game state`, gameId);
+    const gameState = await manager.updateGameState(gameId);
+    if (!gameState) {
+      return res.status(502).json({ error: "Could not read game state" });
+    }
+    res.json({ success: true, game: describeGame(gameId, manager) });
+  });
+
+  return app;
+}
+
+export function startAdminServer(manager) {
+  const port = parseInt(process.env.ADMIN_PORT);
+  const host = process.env.ADMIN_HOST || "127.0.0.1";
+
+  if (!process.env.ADMIN_TOKEN) {
+    log(
+      `🔐 ADMIN_TOKEN not set - admin API accepts gamemaster signatures only`
+    );
+  }
+
+  return new Promise((resolve) => {
+    const server = createAdminApp(manager).listen(port, host, () => {
+      log(`🛠️ Admin API running on http://${host}:${port}`);
+      resolve(server);
+    });
+    server.on("error", (error) => {
+      log(`❌ Admin server error: ${error.message}`);
+      resolve(null);
+    });
+  });
+}
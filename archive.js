@@ -0,0 +1,76 @@
+import express from "express";
+import { log } from "./utils.js";
+import { loadGameReplay } from "./fileService.js";
+import {
+  loadTranscript,
+  buildTranscriptResponse,
+} from "./transcriptService.js";
+
+// Finished-game archive
+//
+// A game server stops shortly after its reveal, taking GET /transcript and
+// GET /replay with it. The archive answers both from saved/ once the game has
+// ended (its replay is only saved then): on the gateway for games that are no
+// longer mounted, and on ARCHIVE_PORT when every game has its own port.
+
+export function createArchiveRouter() {
+  const router = express.Router({ mergeParams: true });
+
+  // The transcript file is written during the game, so it is only served
+  // once the saved replay shows the game has ended
+  router.get("/transcript", (req, res, next) => {
+    const replay = loadGameReplay(req.params.gameId);
+    if (!replay) {
+      return next();
+    }
+
+    let entries;
+    try {
+      entries = loadTranscript(req.params.gameId);
+    } catch (error) {
+      log(`❌ ${error.message}`, req.params.gameId);
+      return res.status(500).json({ error: "Failed to read transcript" });
+    }
+
+    res.json({
+      success: true,
+      archived: true,
+      ...buildTranscriptResponse(
+        replay.gameId,
+        replay.gamemaster,
+        replay.randomHash,
+        entries
+      ),
+    });
+  });
+
+  router.get("/replay", (req, res, next) => {
+    const replay = loadGameReplay(req.params.gameId);
+    if (!replay) {
+      return next();
+    }
+    res.json({ success: true, archived: true, ...replay });
+  });
+
+  return router;
+}
+
+export function startArchiveServer() {
+  const port = parseInt(process.env.ARCHIVE_PORT);
+  const app = express();
+  app.use("/games/:gameId", createArchiveRouter());
+  app.use((req, res) => {
+    res.status(404).json({ error: "Not found in the archive" });
+  });
+
+  return new Promise((resolve) => {
+    const server = app.listen(port, "0.0.0.0", () => {
+      log(`🗄️ Game archive running on http://0.0.0.0:${port}/games/:gameId`);
+      resolve(server);
+    });
+    server.on("error", (error) => {
+      log(`❌ Archive server error: ${error.message}`);
+      resolve(null);
+    });
+  });
+}
@@ -1,77 +1,165 @@
-import { base } from "viem/chains";
+import fs from "fs";
+import * as viemChains from "viem/chains";
 import dotenv from "dotenv";
 
 // Load environment variables
 dotenv.config();
 
+// Chain registry
+//
+// Chains are declared in chains.json (or the file named by CHAIN_REGISTRY),
+// keyed by a short name. String values may reference environment variables as
+// ${NAME} so RPC keys can stay in .env. CHAIN selects a registry entry by name;
+// otherwise the entry matching CHAIN_ID is used, defaulting to Base mainnet.
+
+// The bundled registry sits next to this module so scripts work from any cwd
+const REGISTRY_PATH =
+  process.env.CHAIN_REGISTRY || new URL("./chains.json", import.meta.url);
+
+const CHAIN_DEFAULTS = {
+  rpcUrls: [],
+  wsUrls: [],
+  blockTime: 2,
+  explorer: null,
+  confirmations: 1,
+  // Contracts can read the last 256 block hashes; keep a safety margin
+  blockhashWindow: 240,
+  gamePortBase: 8000,
+  // Ports each chain gets when several run side by side (CHAINS)
+  gamePortRange: 1000,
+  contractAddress: null,
+  testnet: false,
+};
+
+let registryCache = null;
+
+const interpolateEnv = (value) => {
+  if (typeof value === "string") {
+    return value.replace(
+      /\$\{(\w+)\}/g,
+      (match, name) => process.env[name] || ""
+    );
+  }
+  if (Array.isArray(value)) {
+    return value.map(interpolateEnv).filter((item) => item !== "");
+  }
+  return value;
+};
+
+export const loadChainRegistry = () => {
+  if (registryCache) {
+    return registryCache;
+  }
+
+  let entries;
+  try {
+    entries = JSON.parse(fs.readFileSync(REGISTRY_PATH, "utf8"));
+  } catch (error) {
+    throw new Error(
+      `❌ Failed to load chain registry ${REGISTRY_PATH}: ${error.message}`
+    );
+  }
+
+  registryCache = {};
+  for (const [key, entry] of Object.entries(entries)) {
+    if (!entry.chainId) {
+      throw new Error(`❌ Chain "${key}" in ${REGISTRY_PATH} has no chainId`);
+    }
+
+    const chain = { key, name: key, ...CHAIN_DEFAULTS };
+    for (const [field, value] of Object.entries(entry)) {
+      chain[field] = interpolateEnv(value);
+    }
+    registryCache[key] = chain;
+  }
+  return registryCache;
+};
+
 // Supported chain IDs
-export const SUPPORTED_CHAIN_IDS = [8453, 31337]; // Base mainnet, Base fork
+export const getSupportedChainIds = () =>
+  Object.values(loadChainRegistry()).map((chain) => chain.chainId);
+
+export const getRegisteredChain = (key) => {
+  const chain = loadChainRegistry()[key];
+  if (!chain) {
+    throw new Error(
+      `❌ Chain "${key}" not found in ${REGISTRY_PATH}. Registered: ${Object.keys(
+        loadChainRegistry()
+      ).join(", ")}`
+    );
+  }
+  return chain;
+};
+
+// Registry entry for this process; unknown CHAIN_IDs get a generic entry
+export const getActiveChain = () => {
+  if (process.env.CHAIN) {
+    return getRegisteredChain(process.env.CHAIN);
+  }
 
-// Create custom chain configuration
-export const getChainConfig = () => {
   const chainId = process.env.CHAIN_ID ? parseInt(process.env.CHAIN_ID) : 8453;
-  const rpcUrl = process.env.ALCHEMY_API_KEY || "http://localhost:8545";
+  const registered = Object.values(loadChainRegistry()).find(
+    (chain) => chain.chainId === chainId
+  );
+  if (registered) {
+    return registered;
+  }
 
-  if (chainId === 8453) {
-    // Base mainnet
-    return {
-      ...base,
-      rpcUrls: {
-        default: {
-          http: [rpcUrl],
-        },
-        public: {
-          http: [rpcUrl],
-        },
-      },
-    };
-  } else if (chainId === 31337) {
-    // Base fork - simple config to avoid hardfork issues
-    return {
-      id: 31337,
-      name: "Base Fork",
-      network: "base-fork",
-      nativeCurrency: {
-        decimals: 18,
-        name: "Ether",
-        symbol: "ETH",
-      },
-      rpcUrls: {
-        default: {
-          http: ["http://localhost:8545"],
-        },
-        public: {
-          http: ["http://localhost:8545"],
-        },
-      },
-      blockExplorers: {
-        default: { name: "Local", url: "http://localhost:8545" },
-      },
-      testnet: true,
-    };
-  } else {
-    // Create custom chain config for other networks
+  return {
+    ...CHAIN_DEFAULTS,
+    key: `custom-${chainId}`,
+    name: `Custom Network (${chainId})`,
+    chainId,
+    rpcUrls: ["http://localhost:8545"],
+    testnet: true,
+  };
+};
+
+// Create the viem chain configuration for the active registry entry
+export const getChainConfig = (rpcUrls = getActiveChain().rpcUrls) => {
+  const chain = getActiveChain();
+  const rpcConfig = {
+    default: { http: rpcUrls },
+    public: { http: rpcUrls },
+  };
+  const blockExplorers = chain.explorer
+    ? { default: { name: chain.name, url: chain.explorer } }
+    : undefined;
+
+  // Known chains keep viem's formatters (e.g. OP stack deposit transactions);
+  // the local fork uses a simple config to avoid hardfork issues
+  const knownChain =
+    chain.chainId === 31337
+      ? null
+      : Object.values(viemChains).find(
+          (viemChain) => viemChain && viemChain.id === chain.chainId
+        );
+
+  if (knownChain) {
     return {
-      id: chainId,
-      name: `Custom Network (${chainId})`,
-      network: `custom-${chainId}`,
-      nativeCurrency: {
-        decimals: 18,
-        name: "Ether",
-        symbol: "ETH",
-      },
-      rpcUrls: {
-        default: {
-          http: [rpcUrl],
-        },
-        public: {
-          http: [rpcUrl],
-        },
-      },
-      blockExplorers: {
-        default: { name: "Custom", url: rpcUrl },
-      },
-      testnet: true,
+      ...knownChain,
+      rpcUrls: rpcConfig,
+      ...(blockExplorers ? { blockExplorers } : {}),
     };
   }
+
+  return {
+    id: chain.chainId,
+    name: chain.name,
+    network: chain.key,
+    nativeCurrency: {
+      decimals: 18,
+      name: "Ether",
+      symbol: "ETH",
+    },
+    rpcUrls: rpcConfig,
+    ...(blockExplorers ? { blockExplorers } : {}),
+    testnet: chain.testnet,
+  };
+};
+
+// Link to a transaction on the chain's block explorer, if it has one
+export const getExplorerTxUrl = (hash) => {
+  const { explorer } = getActiveChain();
+  return explorer ? `${explorer.replace(/\/$/, "")}/tx/${hash}` : null;
 };
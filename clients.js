@@ -1,7 +1,18 @@
-import { createWalletClient, createPublicClient, http } from "viem";
+import {
+  createWalletClient,
+  createPublicClient,
+  http,
+  fallback,
+  webSocket,
+} from "viem";
 import { privateKeyToAccount } from "viem/accounts";
 import dotenv from "dotenv";
-import { getChainConfig, SUPPORTED_CHAIN_IDS } from "./chains.js";
+import { log } from "./utils.js";
+import {
+  getChainConfig,
+  getActiveChain,
+  getSupportedChainIds,
+} from "./chains.js";
 
 // Load environment variables
 dotenv.config();
@@ -16,6 +27,13 @@ dotenv.config();
 // CHAIN_ID=31337  (localhost fork uses 31337)
 // ALCHEMY_API_KEY=http://localhost:8545
 //
+// For other chains, set CHAIN to an entry of chains.json (e.g. CHAIN=base-sepolia);
+// its RPC URLs are used unless RPC_URLS or ALCHEMY_API_KEY is set
+//
+// For several providers with failover:
+// RPC_URLS=https://base-mainnet.g.alchemy.com/v2/your-api-key,https://mainnet.base.org
+// RPC_WS_URLS=wss://base-mainnet.g.alchemy.com/v2/your-api-key
+//
 // Contract addresses are identical on both networks since 31337 is a Base fork
 
 // Create account from private key
@@ -30,67 +48,187 @@ export const createAccountFromEnv = () => {
   );
 };
 
+// RPC endpoints
+//
+// RPC_URLS is a comma-separated list of HTTP endpoints (ALCHEMY_API_KEY, then
+// the chain registry's rpcUrls, are used when it isn't set). With more than one URL, requests go through a fallback
+// transport that ranks endpoints by latency and stability and moves to the next
+// one on errors or rate limits. RPC_WS_URLS optionally lists WebSocket
+// endpoints used for event subscriptions.
+
+const parseUrlList = (value) =>
+  (value || "")
+    .split(",")
+    .map((url) => url.trim())
+    .filter((url) => url.length > 0);
+
+export const getRpcUrls = () => {
+  const urls = parseUrlList(process.env.RPC_URLS);
+  if (urls.length > 0) {
+    return urls;
+  }
+  if (process.env.ALCHEMY_API_KEY) {
+    return [process.env.ALCHEMY_API_KEY];
+  }
+  return getActiveChain().rpcUrls;
+};
+
+export const getWebSocketRpcUrls = () => {
+  const urls = parseUrlList(process.env.RPC_WS_URLS);
+  return urls.length > 0 ? urls : getActiveChain().wsUrls;
+};
+
+// Hide API keys that providers put in the URL path or query
+export const redactRpcUrl = (url) => {
+  try {
+    const parsed = new URL(url);
+    const path = parsed.pathname.replace(/\/[^/]{16,}$/, "/***");
+    return `${parsed.protocol}//${parsed.host}${path}${
+      parsed.search ? "?***" : ""
+    }`;
+  } catch (error) {
+    return url;
+  }
+};
+
+// Per-endpoint call counts, shared by every client in this process
+const endpointStats = new Map();
+let lastServingEndpoint = null;
+
+const getEndpointStats = (url) => {
+  if (!endpointStats.has(url)) {
+    endpointStats.set(url, {
+      url: redactRpcUrl(url),
+      calls: 0,
+      errors: 0,
+      lastMethod: null,
+      lastServedAt: null,
+      lastError: null,
+      lastErrorAt: null,
+      failing: false,
+    });
+  }
+  return endpointStats.get(url);
+};
+
+const recordRpcResponse = ({ method, transport, status, error }) => {
+  const url = transport.config.key;
+  const stats = getEndpointStats(url);
+
+  if (status === "error") {
+    stats.errors++;
+    stats.lastError = error.shortMessage || error.message;
+    stats.lastErrorAt = Date.now();
+    if (!stats.failing) {
+      stats.failing = true;
+      console.warn(
+        `⚠️  RPC ${stats.url} failed ${method}: ${stats.lastError} - failing over`
+      );
+    }
+    return;
+  }
+
+  stats.calls++;
+  stats.lastMethod = method;
+  stats.lastServedAt = Date.now();
+  stats.failing = false;
+
+  if (lastServingEndpoint !== url) {
+    if (lastServingEndpoint !== null) {
+      log(`🔀 RPC calls now served by ${stats.url}`);
+    }
+    lastServingEndpoint = url;
+  }
+  if (process.env.RPC_LOG_REQUESTS === "true") {
+    log(`📡 ${method} served by ${stats.url}`);
+  }
+};
+
+// Which endpoint served recent calls, for logs and the admin API
+export const getRpcEndpointReport = () => ({
+  current: lastServingEndpoint ? redactRpcUrl(lastServingEndpoint) : null,
+  endpoints: getRpcUrls().map((url) => getEndpointStats(url)),
+  webSocketEndpoints: getWebSocketRpcUrls().map(redactRpcUrl),
+});
+
+// A single URL still goes through fallback so its calls are reported
+const createRpcTransport = () => {
+  const urls = getRpcUrls();
+  return fallback(
+    urls.map((url) => http(url, { key: url })),
+    {
+      rank:
+        urls.length > 1
+          ? { interval: parseInt(process.env.RPC_RANK_INTERVAL_MS || "30000") }
+          : false,
+    }
+  );
+};
+
+const watchRpcResponses = (client) => {
+  client.transport.onResponse(recordRpcResponse);
+  return client;
+};
+
 // Create public client
 export const createPublicClientForChain = () => {
-  const chainId = process.env.CHAIN_ID ? parseInt(process.env.CHAIN_ID) : 8453;
+  const chain = getActiveChain();
 
   // Validate supported chain
-  if (!SUPPORTED_CHAIN_IDS.includes(chainId)) {
+  if (!getSupportedChainIds().includes(chain.chainId)) {
     console.warn(
-      `⚠️  Chain ID ${chainId} not explicitly supported. Supported: ${SUPPORTED_CHAIN_IDS.join(
+      `⚠️  Chain ID ${
+        chain.chainId
+      } not in the chain registry. Supported: ${getSupportedChainIds().join(
         ", "
       )}`
     );
   }
 
-  // Determine RPC URL based on configuration
-  let rpcUrl = process.env.ALCHEMY_API_KEY;
-
-  if (!rpcUrl) {
-    if (chainId === 8453) {
-      rpcUrl = "https://mainnet.base.org"; // Default Base RPC
-    } else if (chainId === 31337) {
-      rpcUrl = "http://localhost:8545"; // Default localhost fork
-    } else {
-      rpcUrl = "http://localhost:8545"; // Default localhost
-    }
-  }
-
-  const isLocalhost =
-    rpcUrl.includes("localhost") || rpcUrl.includes("127.0.0.1");
-  const networkType = isLocalhost ? "Fork/Localhost" : "Mainnet";
+  const rpcUrls = getRpcUrls();
+  log(
+    `🔗 Connecting to ${chain.name} (Chain ID: ${
+      chain.chainId
+    }) via ${rpcUrls.map(redactRpcUrl).join(", ")}`
+  );
 
-  console.log(
-    `🔗 Connecting to Base ${networkType} (Chain ID: ${chainId}) via ${rpcUrl}`
+  return watchRpcResponses(
+    createPublicClient({
+      chain: getChainConfig(rpcUrls),
+      transport: createRpcTransport(),
+      pollingInterval: chain.blockTime * 1000,
+    })
   );
+};
 
-  return createPublicClient({
-    chain: getChainConfig(),
-    transport: http(rpcUrl),
-  });
+// Client for event subscriptions on the WebSocket endpoint at endpointIndex
+// (wrapping around), or null when no RPC_WS_URLS are configured
+export const createEventClientForChain = (endpointIndex = 0) => {
+  const wsUrls = getWebSocketRpcUrls();
+  if (wsUrls.length === 0) {
+    return null;
+  }
+
+  const wsUrl = wsUrls[endpointIndex % wsUrls.length];
+  return {
+    client: createPublicClient({
+      chain: getChainConfig(),
+      transport: webSocket(wsUrl, { key: wsUrl }),
+      pollingInterval: getActiveChain().blockTime * 1000,
+    }),
+    endpoint: redactRpcUrl(wsUrl),
+  };
 };
 
 // Create wallet client
 export const createWalletClientForChain = (account) => {
-  const chainId = process.env.CHAIN_ID ? parseInt(process.env.CHAIN_ID) : 8453;
-
-  let rpcUrl = process.env.ALCHEMY_API_KEY;
-
-  if (!rpcUrl) {
-    if (chainId === 8453) {
-      rpcUrl = "https://mainnet.base.org";
-    } else if (chainId === 31337) {
-      rpcUrl = "http://localhost:8545";
-    } else {
-      rpcUrl = "http://localhost:8545";
-    }
-  }
-
-  return createWalletClient({
-    account,
-    chain: getChainConfig(),
-    transport: http(rpcUrl),
-  });
+  return watchRpcResponses(
+    createWalletClient({
+      account,
+      chain: getChainConfig(getRpcUrls()),
+      transport: createRpcTransport(),
+    })
+  );
 };
 
 // Create both clients at once (common pattern)
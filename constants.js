@@ -1,3 +1,5 @@
+import { getActiveChain } from "./chains.js";
+
 // Game phases enum
 export const GamePhase = {
   CREATED: "CREATED",
@@ -6,16 +8,28 @@ export const GamePhase = {
   GAME_RUNNING: "GAME_RUNNING",
   GAME_FINISHED: "GAME_FINISHED",
   PAYOUT_COMPLETE: "PAYOUT_COMPLETE",
+  EXPIRED: "EXPIRED", // Cannot be played, waiting for stakes to be refunded
   COMPLETE: "COMPLETE",
 };
 
-// Game constants
+// Standard ruleset values; running games read their rules from rulesets.js
 export const MAP_MULTIPLIER = 4;
 export const MAX_MOVES = 12;
 export const MAX_MINES = 3;
-export const SAVED_DIR = "saved";
+// Each chain gets its own directory when one manager runs several chains
+export const SAVED_DIR = process.env.SAVED_DIR || "saved";
+
+// Game servers listen on GAME_PORT_BASE + gameId
+export const GAME_PORT_BASE = parseInt(
+  process.env.GAME_PORT_BASE || getActiveChain().gamePortBase
+);
+// Ports GAME_PORT_BASE to GAME_PORT_BASE + GAME_PORT_RANGE - 1 belong to this
+// chain; only set by the multi-chain supervisor, a single manager has no cap
+export const GAME_PORT_RANGE = process.env.GAME_PORT_RANGE
+  ? parseInt(process.env.GAME_PORT_RANGE)
+  : null;
 
-// Timer configuration
+// Standard game length
 export const GAME_TIMER_DURATION = 90; // 90 seconds
 
 // JWT Configuration
@@ -102,6 +116,16 @@ export const FULL_CONTRACT_ABI = [
     name: "BlockHashStored",
     type: "event",
   },
+  {
+    anonymous: false,
+    inputs: [
+      { indexed: true, name: "gameId", type: "uint256" },
+      { indexed: false, name: "playerCount", type: "uint256" },
+      { indexed: false, name: "refundAmount", type: "uint256" },
+    ],
+    name: "GameRefunded",
+    type: "event",
+  },
   {
     inputs: [{ name: "gameId", type: "uint256" }],
     name: "getGameInfo",
@@ -151,6 +175,21 @@ export const FULL_CONTRACT_ABI = [
     stateMutability: "view",
     type: "function",
   },
+  // Creator actions, sent by the admin CLI
+  {
+    inputs: [{ name: "gameId", type: "uint256" }],
+    name: "openGame",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [{ name: "gameId", type: "uint256" }],
+    name: "closeGame",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
   {
     inputs: [
       { name: "gameId", type: "uint256" },
@@ -191,6 +230,20 @@ export const FULL_CONTRACT_ABI = [
     stateMutability: "nonpayable",
     type: "function",
   },
+  {
+    inputs: [{ name: "gameId", type: "uint256" }],
+    name: "refund",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [{ name: "gameId", type: "uint256" }],
+    name: "hasRefunded",
+    outputs: [{ name: "", type: "bool" }],
+    stateMutability: "view",
+    type: "function",
+  },
   {
     inputs: [{ name: "gameId", type: "uint256" }],
     name: "getMapSize",
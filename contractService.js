@@ -1,12 +1,299 @@
 import { keccak256, toBytes } from "viem";
 import { FULL_CONTRACT_ABI, GamePhase } from "./constants.js";
+import {
+  generateGameServerUrl,
+  hasSslCertificates,
+  getGamePortError,
+} from "./gateway.js";
 import { log, shouldLogWaitingMessage } from "./utils.js";
+import { getActiveChain, getExplorerTxUrl } from "./chains.js";
 import {
   generateRandomReveal,
   saveRevealValue,
   loadRevealValue,
   loadGameScores,
+  savePayoutRecord,
+  saveExpiryRecord,
+  appendTransactionJournal,
 } from "./fileService.js";
+import { loadPayoutConfig, computePayout } from "./payoutStrategies.js";
+import { loadGameRuleset } from "./rulesets.js";
+import {
+  saveGameState,
+  saveRetryState,
+  clearRetryState,
+} from "./stateStore.js";
+
+// Transaction manager
+//
+// Every contract write goes through sendContractTransaction: the call is
+// simulated first, the nonce is assigned locally so games moving at the same
+// time don't collide, and a tx that isn't mined within the receipt timeout is
+// replaced at the same nonce with bumped EIP-1559 fees. Each step is appended
+// to saved/tx_journal.txt.
+
+const TX_RECEIPT_TIMEOUT_MS = parseInt(
+  process.env.TX_RECEIPT_TIMEOUT_MS || "60000"
+);
+const TX_MAX_REPLACEMENTS = parseInt(process.env.TX_MAX_REPLACEMENTS || "3");
+const TX_FEE_BUMP_PERCENT = BigInt(process.env.TX_FEE_BUMP_PERCENT || "20");
+
+const nonceTrackers = new Map(); // account address -> { nextNonce, syncing }
+
+// In dry-run mode (admin CLI --dry-run) writes are simulated and never sent,
+// and nothing is saved that a real send would need later
+let dryRun = false;
+const dryRunTransactions = [];
+
+export function setDryRun(enabled) {
+  dryRun = enabled;
+}
+
+export function getDryRunTransactions() {
+  return dryRunTransactions;
+}
+
+function getNonceTracker(address) {
+  const key = address.toLowerCase();
+  if (!nonceTrackers.has(key)) {
+    nonceTrackers.set(key, { nextNonce: null, syncing: null });
+  }
+  return nonceTrackers.get(key);
+}
+
+async function reserveNonce(publicClient, address) {
+  const tracker = getNonceTracker(address);
+  if (tracker.nextNonce === null) {
+    if (!tracker.syncing) {
+      tracker.syncing = publicClient
+        .getTransactionCount({ address, blockTag: "pending" })
+        .then((nonce) => {
+          tracker.nextNonce = nonce;
+        })
+        .finally(() => {
+          tracker.syncing = null;
+        });
+    }
+    await tracker.syncing;
+  }
+  return tracker.nextNonce++;
+}
+
+// Re-read the nonce from the node on the next send (after a failed broadcast)
+function resetNonce(address) {
+  getNonceTracker(address).nextNonce = null;
+}
+
+function bumpFee(fee) {
+  return (fee * (100n + TX_FEE_BUMP_PERCENT)) / 100n + 1n;
+}
+
+function isNonceError(error) {
+  const message = error.message.toLowerCase();
+  return (
+    message.includes("nonce too low") ||
+    message.includes("nonce has already been used") ||
+    message.includes("already known")
+  );
+}
+
+// A replaced tx may be the one that got mined, so check every hash sent
+async function findMinedReceipt(publicClient, hashes) {
+  for (const hash of hashes) {
+    try {
+      return await publicClient.getTransactionReceipt({ hash });
+    } catch (error) {
+      // Not mined
+    }
+  }
+  return null;
+}
+
+// abi and value let swaps and approvals on other contracts share the nonce
+// tracking, fee bumps and journal used for game transactions
+export async function sendContractTransaction(
+  gameId,
+  globalPublicClient,
+  globalWalletClient,
+  globalContractAddress,
+  functionName,
+  args,
+  purpose = functionName,
+  abi = FULL_CONTRACT_ABI,
+  value = undefined
+) {
+  const account = globalWalletClient.account;
+  const journal = (fields) =>
+    appendTransactionJournal({
+      purpose,
+      gameId,
+      functionName,
+      from: account.address,
+      ...fields,
+    });
+
+  let request;
+  try {
+    ({ request } = await globalPublicClient.simulateContract({
+      account,
+      address: globalContractAddress,
+      abi,
+      functionName,
+      args,
+      ...(value !== undefined ? { value } : {}),
+    }));
+  } catch (error) {
+    journal({ status: "simulation-failed", error: error.shortMessage });
+    throw error;
+  }
+
+  // Stands in for a receipt so callers follow their success path
+  if (dryRun) {
+    const gasEstimate = await globalPublicClient.estimateContractGas(request);
+    dryRunTransactions.push({
+      purpose,
+      gameId,
+      functionName,
+      args,
+      gasEstimate,
+    });
+    log(
+      `🧪 Dry run: ${purpose} simulation succeeded (estimated gas ${gasEstimate}) - not sent`,
+      gameId
+    );
+    return { status: "success", dryRun: true, gasUsed: gasEstimate };
+  }
+
+  const nonce = await reserveNonce(globalPublicClient, account.address);
+  const fees = await globalPublicClient.estimateFeesPerGas();
+  let maxFeePerGas = fees.maxFeePerGas;
+  let maxPriorityFeePerGas = fees.maxPriorityFeePerGas;
+  const hashes = [];
+
+  for (let attempt = 0; attempt <= TX_MAX_REPLACEMENTS; attempt++) {
+    let hash;
+    try {
+      hash = await globalWalletClient.writeContract({
+        ...request,
+        nonce,
+        maxFeePerGas,
+        maxPriorityFeePerGas,
+      });
+    } catch (error) {
+      // The previous tx at this nonce was mined while we were replacing it
+      if (hashes.length > 0 && isNonceError(error)) {
+        const receipt = await findMinedReceipt(globalPublicClient, hashes);
+        if (receipt) {
+          journal({
+            status: receipt.status === "success" ? "confirmed" : "reverted",
+            hash: receipt.transactionHash,
+            nonce,
+            gasUsed: receipt.gasUsed.toString(),
+            effectiveGasPrice: receipt.effectiveGasPrice?.toString(),
+            blockNumber: receipt.blockNumber.toString(),
+          });
+          return receipt;
+        }
+      }
+
+      if (hashes.length === 0) {
+        resetNonce(account.address);
+      }
+      journal({ status: "send-failed", nonce, error: error.shortMessage });
+      throw error;
+    }
+
+    hashes.push(hash);
+    log(
+      `${purpose} transaction: ${hash} (nonce ${nonce}${
+        attempt > 0 ? `, replacement ${attempt}` : ""
+      })`,
+      gameId
+    );
+    const explorerUrl = getExplorerTxUrl(hash);
+    if (explorerUrl) {
+      log(`🔍 ${explorerUrl}`, gameId);
+    }
+    journal({
+      status: attempt > 0 ? "replaced" : "sent",
+      hash,
+      nonce,
+      maxFeePerGas: maxFeePerGas.toString(),
+      maxPriorityFeePerGas: maxPriorityFeePerGas.toString(),
+    });
+
+    try {
+      const receipt = await globalPublicClient.waitForTransactionReceipt({
+        hash,
+        confirmations: getActiveChain().confirmations,
+        timeout: TX_RECEIPT_TIMEOUT_MS,
+        onReplaced: (replacement) => {
+          log(
+            `🔁 ${purpose} transaction ${replacement.reason}: ${replacement.transaction.hash}`,
+            gameId
+          );
+        },
+      });
+
+      journal({
+        status: receipt.status === "success" ? "confirmed" : "reverted",
+        hash: receipt.transactionHash,
+        nonce,
+        gasUsed: receipt.gasUsed.toString(),
+        effectiveGasPrice: receipt.effectiveGasPrice?.toString(),
+        blockNumber: receipt.blockNumber.toString(),
+      });
+      return receipt;
+    } catch (error) {
+      if (error.name !== "WaitForTransactionReceiptTimeoutError") {
+        journal({ status: "failed", hash, nonce, error: error.shortMessage });
+        throw error;
+      }
+    }
+
+    const minedReceipt = await findMinedReceipt(globalPublicClient, hashes);
+    if (minedReceipt) {
+      journal({
+        status: minedReceipt.status === "success" ? "confirmed" : "reverted",
+        hash: minedReceipt.transactionHash,
+        nonce,
+        gasUsed: minedReceipt.gasUsed.toString(),
+        effectiveGasPrice: minedReceipt.effectiveGasPrice?.toString(),
+        blockNumber: minedReceipt.blockNumber.toString(),
+      });
+      return minedReceipt;
+    }
+
+    // Replacement needs higher fees than both the stuck tx and the current market
+    const currentFees = await globalPublicClient.estimateFeesPerGas();
+    const bumpedPriorityFee = bumpFee(maxPriorityFeePerGas);
+    const bumpedMaxFee = bumpFee(maxFeePerGas);
+    maxPriorityFeePerGas =
+      bumpedPriorityFee > currentFees.maxPriorityFeePerGas
+        ? bumpedPriorityFee
+        : currentFees.maxPriorityFeePerGas;
+    maxFeePerGas =
+      bumpedMaxFee > currentFees.maxFeePerGas
+        ? bumpedMaxFee
+        : currentFees.maxFeePerGas;
+
+    if (attempt < TX_MAX_REPLACEMENTS) {
+      log(
+        `⏳ ${purpose} transaction not mined after ${Math.round(
+          TX_RECEIPT_TIMEOUT_MS / 1000
+        )}s - bumping fees`,
+        gameId
+      );
+    }
+  }
+
+  // The stuck tx keeps its nonce, so the next send re-reads the pending count
+  resetNonce(account.address);
+  journal({ status: "stuck", hashes, nonce });
+  throw new Error(
+    `${purpose} transaction stuck after ${TX_MAX_REPLACEMENTS} fee bumps (nonce ${nonce})`
+  );
+}
 
 // Contract interaction functions
 
@@ -14,9 +301,16 @@ export async function commitHashForGame(
   gameId,
   globalPublicClient,
   globalWalletClient,
-  globalContractAddress
+  globalContractAddress,
+  scheduleBlockHashStorage = true
 ) {
   try {
+    const portError = getGamePortError(gameId);
+    if (portError) {
+      log(`❌ Not committing: ${portError}`, gameId);
+      return false;
+    }
+
     log(`Starting commit phase...`, gameId);
 
     const currentState = await globalPublicClient.readContract({
@@ -51,26 +345,33 @@ export async function commitHashForGame(
     const commitHash = keccak256(toBytes(revealBytes32));
     log(`Generated commit hash: ${commitHash}`, gameId);
 
-    saveRevealValue(gameId, revealBytes32);
+    if (!dryRun) {
+      saveRevealValue(gameId, revealBytes32);
+    }
 
     log(`Committing hash to contract...`, gameId);
-    const commitTxHash = await globalWalletClient.writeContract({
-      address: globalContractAddress,
-      abi: FULL_CONTRACT_ABI,
-      functionName: "commitHash",
-      args: [BigInt(gameId), commitHash],
-    });
-
-    log(`Commit transaction: ${commitTxHash}`, gameId);
+    const receipt = await sendContractTransaction(
+      gameId,
+      globalPublicClient,
+      globalWalletClient,
+      globalContractAddress,
+      "commitHash",
+      [BigInt(gameId), commitHash],
+      "commit"
+    );
 
-    const receipt = await globalPublicClient.waitForTransactionReceipt({
-      hash: commitTxHash,
-    });
+    if (receipt.dryRun) {
+      return true;
+    }
 
     if (receipt.status === "success") {
       log(`Commit successful! Gas used: ${receipt.gasUsed.toString()}`, gameId);
       log(`Game is now open for players to join`, gameId);
 
+      if (!scheduleBlockHashStorage) {
+        return true;
+      }
+
       log(`Scheduling block hash storage in 15 seconds...`, gameId);
       setTimeout(async () => {
         await storeCommitBlockHashForGame(
@@ -147,6 +448,12 @@ export async function storeCommitBlockHashForGame(
       return true;
     }
 
+    const portError = getGamePortError(gameId);
+    if (portError) {
+      log(`❌ Not storing the game URL: ${portError}`, gameId);
+      return false;
+    }
+
     const currentBlockNumber = await globalPublicClient.getBlockNumber();
     const blockHashLogKey = `block_hash_waiting_${gameId}`;
 
@@ -168,24 +475,23 @@ export async function storeCommitBlockHashForGame(
       return false;
     }
 
-    // Generate the game server URL
-    const port = 8000 + parseInt(gameId);
-    const baseUrl = process.env.GAME_API_BASE || "http://localhost";
-    const gameServerUrl = `${baseUrl}:${port}`;
+    // Generate the game server URL (a /games/:gameId path in gateway mode)
+    const gameServerUrl = generateGameServerUrl(gameId, hasSslCertificates());
 
     log(`Storing commit block hash with URL: ${gameServerUrl}`, gameId);
-    const storeTxHash = await globalWalletClient.writeContract({
-      address: globalContractAddress,
-      abi: FULL_CONTRACT_ABI,
-      functionName: "storeCommitBlockHash",
-      args: [BigInt(gameId), gameServerUrl],
-    });
-
-    log(`Store block hash transaction: ${storeTxHash}`, gameId);
+    const receipt = await sendContractTransaction(
+      gameId,
+      globalPublicClient,
+      globalWalletClient,
+      globalContractAddress,
+      "storeCommitBlockHash",
+      [BigInt(gameId), gameServerUrl],
+      "storeBlockHash"
+    );
 
-    const receipt = await globalPublicClient.waitForTransactionReceipt({
-      hash: storeTxHash,
-    });
+    if (receipt.dryRun) {
+      return true;
+    }
 
     if (receipt.status === "success") {
       log(
@@ -278,12 +584,14 @@ export async function payoutGame(
 
       payoutRetryCount.delete(gameId);
       payoutLastRetryTime.delete(gameId);
+      clearRetryState(globalContractAddress, "payout", gameId);
 
       const gameState = gameStates.get(gameId);
       if (gameState) {
         gameState.payoutSkipped = true;
         gameState.phase = GamePhase.PAYOUT_COMPLETE;
         gameStates.set(gameId, gameState);
+        saveGameState(globalContractAddress, gameId, gameState);
       }
 
       return true;
@@ -299,29 +607,55 @@ export async function payoutGame(
       return false;
     }
 
-    const highestScore = Math.max(...playerScores.map((p) => p.score));
-    const winners = playerScores
-      .filter((p) => p.score === highestScore)
-      .map((p) => p.address);
+    const payout = computePayout(
+      playerScores,
+      loadPayoutConfig(gameId),
+      loadGameRuleset(gameId)
+    );
+    const winners = payout.winners.map((w) => w.address);
 
-    log(`Found ${winners.length} winner(s) with score ${highestScore}`, gameId);
-    winners.forEach((winner, index) => {
-      log(`Winner ${index + 1}: ${winner}`, gameId);
-    });
+    log(
+      `Payout strategy: ${payout.strategy} (${JSON.stringify(payout.options)})`,
+      gameId
+    );
+    if (payout.fallback) {
+      log(
+        `⚠️ No player reached the minimum score of ${payout.options.minScore} - paying every player evenly`,
+        gameId
+      );
+    }
 
-    log(`Executing payout...`, gameId);
-    const payoutTxHash = await globalWalletClient.writeContract({
-      address: globalContractAddress,
-      abi: FULL_CONTRACT_ABI,
-      functionName: "payout",
-      args: [BigInt(gameId), winners],
+    log(`Found ${winners.length} winner(s)`, gameId);
+    payout.winners.forEach((winner, index) => {
+      log(
+        `Winner ${index + 1}: ${winner.address} (score ${
+          winner.score
+        }, weight ${winner.weight.toFixed(2)}%)`,
+        gameId
+      );
     });
 
-    log(`Payout transaction: ${payoutTxHash}`, gameId);
+    if (!dryRun) {
+      savePayoutRecord(gameId, {
+        ...payout,
+        computedAt: new Date().toISOString(),
+      });
+    }
 
-    const receipt = await globalPublicClient.waitForTransactionReceipt({
-      hash: payoutTxHash,
-    });
+    log(`Executing payout...`, gameId);
+    const receipt = await sendContractTransaction(
+      gameId,
+      globalPublicClient,
+      globalWalletClient,
+      globalContractAddress,
+      "payout",
+      [BigInt(gameId), winners],
+      "payout"
+    );
+
+    if (receipt.dryRun) {
+      return true;
+    }
 
     if (receipt.status === "success") {
       log(
@@ -331,6 +665,7 @@ export async function payoutGame(
 
       payoutRetryCount.delete(gameId);
       payoutLastRetryTime.delete(gameId);
+      clearRetryState(globalContractAddress, "payout", gameId);
 
       return true;
     } else {
@@ -341,6 +676,13 @@ export async function payoutGame(
 
       payoutRetryCount.set(gameId, retryCount + 1);
       payoutLastRetryTime.set(gameId, now);
+      saveRetryState(
+        globalContractAddress,
+        "payout",
+        gameId,
+        retryCount + 1,
+        now
+      );
 
       return false;
     }
@@ -384,6 +726,13 @@ export async function payoutGame(
 
     payoutRetryCount.set(gameId, retryCount + 1);
     payoutLastRetryTime.set(gameId, now);
+    saveRetryState(
+      globalContractAddress,
+      "payout",
+      gameId,
+      retryCount + 1,
+      now
+    );
 
     return false;
   }
@@ -432,12 +781,14 @@ export async function revealGame(
 
       revealRetryCount.delete(gameId);
       revealLastRetryTime.delete(gameId);
+      clearRetryState(globalContractAddress, "reveal", gameId);
 
       const gameState = gameStates.get(gameId);
       if (gameState) {
         gameState.revealSkipped = true;
         gameState.phase = GamePhase.COMPLETE;
         gameStates.set(gameId, gameState);
+        saveGameState(globalContractAddress, gameId, gameState);
       }
 
       return true;
@@ -450,24 +801,26 @@ export async function revealGame(
     const revealValue = loadRevealValue(gameId);
 
     log(`Revealing hash...`, gameId);
-    const revealTxHash = await globalWalletClient.writeContract({
-      address: globalContractAddress,
-      abi: FULL_CONTRACT_ABI,
-      functionName: "revealHash",
-      args: [BigInt(gameId), revealValue],
-    });
-
-    log(`Reveal transaction: ${revealTxHash}`, gameId);
+    const receipt = await sendContractTransaction(
+      gameId,
+      globalPublicClient,
+      globalWalletClient,
+      globalContractAddress,
+      "revealHash",
+      [BigInt(gameId), revealValue],
+      "reveal"
+    );
 
-    const receipt = await globalPublicClient.waitForTransactionReceipt({
-      hash: revealTxHash,
-    });
+    if (receipt.dryRun) {
+      return true;
+    }
 
     if (receipt.status === "success") {
       log(`Reveal successful! Gas used: ${receipt.gasUsed.toString()}`, gameId);
 
       revealRetryCount.delete(gameId);
       revealLastRetryTime.delete(gameId);
+      clearRetryState(globalContractAddress, "reveal", gameId);
 
       const finalState = await globalPublicClient.readContract({
         address: globalContractAddress,
@@ -488,6 +841,13 @@ export async function revealGame(
 
       revealRetryCount.set(gameId, retryCount + 1);
       revealLastRetryTime.set(gameId, now);
+      saveRetryState(
+        globalContractAddress,
+        "reveal",
+        gameId,
+        retryCount + 1,
+        now
+      );
 
       return false;
     }
@@ -518,6 +878,183 @@ export async function revealGame(
 
     revealRetryCount.set(gameId, retryCount + 1);
     revealLastRetryTime.set(gameId, now);
+    saveRetryState(
+      globalContractAddress,
+      "reveal",
+      gameId,
+      retryCount + 1,
+      now
+    );
+
+    return false;
+  }
+}
+
+export async function refundGame(
+  gameId,
+  globalPublicClient,
+  globalWalletClient,
+  globalContractAddress,
+  refundRetryCount,
+  refundLastRetryTime,
+  gameStates
+) {
+  const gameState = gameStates.get(gameId);
+  const expiryRecord = {
+    reason: gameState?.expiredReason || "Game expired",
+    expiredAt: gameState?.expiredAt
+      ? new Date(gameState.expiredAt).toISOString()
+      : null,
+    playerCount: Number(gameState?.playerCount || 0),
+    stakeAmount: gameState?.stakeAmount?.toString() || null,
+  };
+
+  const markRefundFinished = (fields) => {
+    refundRetryCount.delete(gameId);
+    refundLastRetryTime.delete(gameId);
+    clearRetryState(globalContractAddress, "refund", gameId);
+
+    const currentState = gameStates.get(gameId);
+    if (currentState) {
+      Object.assign(currentState, fields, { phase: GamePhase.COMPLETE });
+      gameStates.set(gameId, currentState);
+      saveGameState(globalContractAddress, gameId, currentState);
+    }
+  };
+
+  try {
+    log(`Starting refund phase...`, gameId);
+
+    let alreadyRefunded = false;
+    try {
+      alreadyRefunded = await globalPublicClient.readContract({
+        address: globalContractAddress,
+        abi: FULL_CONTRACT_ABI,
+        functionName: "hasRefunded",
+        args: [BigInt(gameId)],
+      });
+    } catch (error) {
+      log(`⚠️ Could not read refund status: ${error.message}`, gameId);
+    }
+
+    if (alreadyRefunded) {
+      log(`Game already refunded`, gameId);
+      saveExpiryRecord(gameId, {
+        ...expiryRecord,
+        refund: { status: "already-refunded" },
+      });
+      markRefundFinished({ refunded: true });
+      return true;
+    }
+
+    const retryCount = refundRetryCount.get(gameId) || 0;
+    const lastRetryTime = refundLastRetryTime.get(gameId) || 0;
+    const now = Date.now();
+    const MAX_RETRIES = 10;
+    const RETRY_BACKOFF_MS = Math.min(
+      5000 * Math.pow(2, retryCount - 1),
+      300000
+    );
+
+    if (retryCount >= MAX_RETRIES) {
+      log(`❌ Refund failed after ${MAX_RETRIES} retries - giving up`, gameId);
+      log(
+        `💡 Player stakes are still locked in the contract - refund manually`,
+        gameId
+      );
+
+      saveExpiryRecord(gameId, {
+        ...expiryRecord,
+        refund: { status: "failed", attempts: retryCount },
+      });
+      markRefundFinished({ refundSkipped: true });
+      return true;
+    }
+
+    if (retryCount > 0 && now - lastRetryTime < RETRY_BACKOFF_MS) {
+      return false;
+    }
+
+    log(`Executing refund...`, gameId);
+    const receipt = await sendContractTransaction(
+      gameId,
+      globalPublicClient,
+      globalWalletClient,
+      globalContractAddress,
+      "refund",
+      [BigInt(gameId)],
+      "refund"
+    );
+
+    if (receipt.dryRun) {
+      return true;
+    }
+
+    if (receipt.status === "success") {
+      log(
+        `✅ Refund successful! Gas used: ${receipt.gasUsed.toString()}`,
+        gameId
+      );
+
+      saveExpiryRecord(gameId, {
+        ...expiryRecord,
+        refund: {
+          status: "refunded",
+          txHash: receipt.transactionHash,
+          blockNumber: receipt.blockNumber.toString(),
+          gasUsed: receipt.gasUsed.toString(),
+          attempts: retryCount + 1,
+        },
+      });
+      markRefundFinished({
+        refunded: true,
+        refundTxHash: receipt.transactionHash,
+      });
+      return true;
+    } else {
+      log(
+        `❌ Refund transaction failed with status: ${receipt.status}`,
+        gameId
+      );
+
+      refundRetryCount.set(gameId, retryCount + 1);
+      refundLastRetryTime.set(gameId, now);
+      saveRetryState(
+        globalContractAddress,
+        "refund",
+        gameId,
+        retryCount + 1,
+        now
+      );
+
+      return false;
+    }
+  } catch (error) {
+    const retryCount = refundRetryCount.get(gameId) || 0;
+    const now = Date.now();
+
+    if (
+      error.message.includes("Sender doesn't have enough funds") ||
+      error.message.includes("insufficient funds")
+    ) {
+      log(
+        `💰 Insufficient funds for refund (attempt ${retryCount + 1}/${10})`,
+        gameId
+      );
+      log(`💡 Gamemaster account needs more ETH for gas fees`, gameId);
+    } else {
+      log(`❌ Error in refund phase: ${error.message}`, gameId);
+    }
+
+    refundRetryCount.set(gameId, retryCount + 1);
+    refundLastRetryTime.set(gameId, now);
+    saveRetryState(
+      globalContractAddress,
+      "refund",
+      gameId,
+      retryCount + 1,
+      now
+    );
 
     return false;
   }
@@ -0,0 +1,454 @@
+import { parseArgs } from "util";
+import { formatEther, formatUnits } from "viem";
+import { sendContractTransaction } from "./contractService.js";
+
+// ETH/USDC routing across Aerodrome and Uniswap V2 on Base
+//
+// Both routers are quoted with getAmountsOut and the swap goes through the one
+// that returns more. The addresses are Base mainnet's, which a local Base fork
+// (chain 31337) shares.
+
+export const USDC_ADDRESS = "0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913";
+export const WETH_ADDRESS = "0x4200000000000000000000000000000000000006";
+export const USDC_DECIMALS = 6;
+
+export const DEFAULT_SLIPPAGE_BPS = 50; // 0.5%
+export const MAX_SLIPPAGE_BPS = 500; // 5%
+export const DEFAULT_DEADLINE_SECONDS = 300;
+
+export const ERC20_ABI = [
+  {
+    inputs: [{ name: "account", type: "address" }],
+    name: "balanceOf",
+    outputs: [{ name: "", type: "uint256" }],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      { name: "owner", type: "address" },
+      { name: "spender", type: "address" },
+    ],
+    name: "allowance",
+    outputs: [{ name: "", type: "uint256" }],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      { name: "spender", type: "address" },
+      { name: "amount", type: "uint256" },
+    ],
+    name: "approve",
+    outputs: [{ name: "", type: "bool" }],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+];
+
+const AERODROME_ROUTE = {
+  name: "routes",
+  type: "tuple[]",
+  components: [
+    { name: "from", type: "address" },
+    { name: "to", type: "address" },
+    { name: "stable", type: "bool" },
+    { name: "factory", type: "address" },
+  ],
+};
+
+const AERODROME_ROUTER_ABI = [
+  {
+    inputs: [],
+    name: "defaultFactory",
+    outputs: [{ name: "", type: "address" }],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [{ name: "amountIn", type: "uint256" }, AERODROME_ROUTE],
+    name: "getAmountsOut",
+    outputs: [{ name: "amounts", type: "uint256[]" }],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      { name: "amountOutMin", type: "uint256" },
+      AERODROME_ROUTE,
+      { name: "to", type: "address" },
+      { name: "deadline", type: "uint256" },
+    ],
+    name: "swapExactETHForTokens",
+    outputs: [{ name: "amounts", type: "uint256[]" }],
+    stateMutability: "payable",
+    type: "function",
+  },
+  {
+    inputs: [
+      { name: "amountIn", type: "uint256" },
+      { name: "amountOutMin", type: "uint256" },
+      AERODROME_ROUTE,
+      { name: "to", type: "address" },
+      { name: "deadline", type: "uint256" },
+    ],
+    name: "swapExactTokensForETH",
+    outputs: [{ name: "amounts", type: "uint256[]" }],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+];
+
+const UNISWAP_V2_ROUTER_ABI = [
+  {
+    inputs: [
+      { name: "amountIn", type: "uint256" },
+      { name: "path", type: "address[]" },
+    ],
+    name: "getAmountsOut",
+    outputs: [{ name: "amounts", type: "uint256[]" }],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      { name: "amountOutMin", type: "uint256" },
+      { name: "path", type: "address[]" },
+      { name: "to", type: "address" },
+      { name: "deadline", type: "uint256" },
+    ],
+    name: "swapExactETHForTokens",
+    outputs: [{ name: "amounts", type: "uint256[]" }],
+    stateMutability: "payable",
+    type: "function",
+  },
+  {
+    inputs: [
+      { name: "amountIn", type: "uint256" },
+      { name: "amountOutMin", type: "uint256" },
+      { name: "path", type: "address[]" },
+      { name: "to", type: "address" },
+      { name: "deadline", type: "uint256" },
+    ],
+    name: "swapExactTokensForETH",
+    outputs: [{ name: "amounts", type: "uint256[]" }],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+];
+
+const aerodromeFactories = new Map(); // publicClient -> default factory address
+
+// Each router describes its route argument; the rest of the calls are identical
+export const ROUTERS = [
+  {
+    name: "Aerodrome",
+    address: "0xcF77a3Ba9A5CA399B7c97c74d54e5b1Beb874E43",
+    abi: AERODROME_ROUTER_ABI,
+    async buildRoute(publicClient, tokenIn, tokenOut) {
+      if (!aerodromeFactories.has(publicClient)) {
+        aerodromeFactories.set(
+          publicClient,
+          await publicClient.readContract({
+            address: this.address,
+            abi: this.abi,
+            functionName: "defaultFactory",
+          })
+        );
+      }
+      // WETH/USDC trades in the volatile pool
+      return [
+        {
+          from: tokenIn,
+          to: tokenOut,
+          stable: false,
+          factory: aerodromeFactories.get(publicClient),
+        },
+      ];
+    },
+  },
+  {
+    name: "Uniswap V2",
+    address: "0x4752ba5dbc23f44d87826276bf6fd6b1c372ad24",
+    abi: UNISWAP_V2_ROUTER_ABI,
+    async buildRoute(publicClient, tokenIn, tokenOut) {
+      return [tokenIn, tokenOut];
+    },
+  },
+];
+
+export function formatUsdc(amount) {
+  return formatUnits(amount, USDC_DECIMALS);
+}
+
+// Quotes from every router, best first; a router that fails to quote is kept
+// with its error so the caller can report it
+export async function quoteAll(publicClient, tokenIn, tokenOut, amountIn) {
+  const quotes = await Promise.all(
+    ROUTERS.map(async (router) => {
+      try {
+        const route = await router.buildRoute(publicClient, tokenIn, tokenOut);
+        const amounts = await publicClient.readContract({
+          address: router.address,
+          abi: router.abi,
+          functionName: "getAmountsOut",
+          args: [amountIn, route],
+        });
+        return {
+          router,
+          route,
+          amountIn,
+          amountOut: amounts[amounts.length - 1],
+        };
+      } catch (error) {
+        return { router, error: error.shortMessage || error.message };
+      }
+    })
+  );
+
+  return quotes.sort((a, b) => {
+    if (a.error || b.error) return (a.error ? 1 : 0) - (b.error ? 1 : 0);
+    return a.amountOut > b.amountOut ? -1 : a.amountOut < b.amountOut ? 1 : 0;
+  });
+}
+
+export async function getBestQuote(publicClient, tokenIn, tokenOut, amountIn) {
+  const quotes = await quoteAll(publicClient, tokenIn, tokenOut, amountIn);
+  if (quotes[0].error) {
+    throw new Error(
+      `No router could quote the swap: ${quotes
+        .map((quote) => `${quote.router.name}: ${quote.error}`)
+        .join("; ")}`
+    );
+  }
+  return { best: quotes[0], quotes };
+}
+
+// ETH needed for usdcAmount, from the best rate for 1 ETH
+export async function getEthAmountForUsdc(publicClient, usdcAmount) {
+  const oneEth = 10n ** 18n;
+  const { best } = await getBestQuote(
+    publicClient,
+    WETH_ADDRESS,
+    USDC_ADDRESS,
+    oneEth
+  );
+  return (usdcAmount * oneEth) / best.amountOut;
+}
+
+export function applySlippage(amountOut, slippageBps) {
+  return (amountOut * BigInt(10000 - slippageBps)) / 10000n;
+}
+
+// Deadlines follow chain time, which a fork can leave behind the wall clock
+export async function getDeadline(publicClient, deadlineSeconds) {
+  const block = await publicClient.getBlock();
+  return block.timestamp + BigInt(deadlineSeconds);
+}
+
+// Swaps and approvals belong to no game, so they are journaled with gameId null
+async function sendDexTransaction(publicClient, walletClient, call, purpose) {
+  const receipt = await sendContractTransaction(
+    null,
+    publicClient,
+    walletClient,
+    call.address,
+    call.functionName,
+    call.args,
+    purpose,
+    call.abi,
+    call.value
+  );
+  if (receipt.status !== "success") {
+    throw new Error(
+      `${purpose} transaction ${receipt.transactionHash} reverted`
+    );
+  }
+  return receipt;
+}
+
+// Approves exactly the amount being swapped so no standing allowance is left
+export async function ensureUsdcAllowance(
+  publicClient,
+  walletClient,
+  spender,
+  amount
+) {
+  const allowance = await publicClient.readContract({
+    address: USDC_ADDRESS,
+    abi: ERC20_ABI,
+    functionName: "allowance",
+    args: [walletClient.account.address, spender],
+  });
+  if (allowance >= amount) {
+    return null;
+  }
+
+  console.log(`🔓 Approving ${formatUsdc(amount)} USDC for ${spender}`);
+  return sendDexTransaction(
+    publicClient,
+    walletClient,
+    {
+      address: USDC_ADDRESS,
+      abi: ERC20_ABI,
+      functionName: "approve",
+      args: [spender, amount],
+    },
+    "approve"
+  );
+}
+
+export async function swapEthForUsdc(
+  publicClient,
+  walletClient,
+  quote,
+  { slippageBps, deadlineSeconds }
+) {
+  const minOut = applySlippage(quote.amountOut, slippageBps);
+  return sendDexTransaction(
+    publicClient,
+    walletClient,
+    {
+      address: quote.router.address,
+      abi: quote.router.abi,
+      functionName: "swapExactETHForTokens",
+      args: [
+        minOut,
+        quote.route,
+        walletClient.account.address,
+        await getDeadline(publicClient, deadlineSeconds),
+      ],
+      value: quote.amountIn,
+    },
+    "swap"
+  );
+}
+
+export async function swapUsdcForEth(
+  publicClient,
+  walletClient,
+  quote,
+  { slippageBps, deadlineSeconds }
+) {
+  await ensureUsdcAllowance(
+    publicClient,
+    walletClient,
+    quote.router.address,
+    quote.amountIn
+  );
+
+  const minOut = applySlippage(quote.amountOut, slippageBps);
+  return sendDexTransaction(
+    publicClient,
+    walletClient,
+    {
+      address: quote.router.address,
+      abi: quote.router.abi,
+      functionName: "swapExactTokensForETH",
+      args: [
+        quote.amountIn,
+        minOut,
+        quote.route,
+        walletClient.account.address,
+        await getDeadline(publicClient, deadlineSeconds),
+      ],
+    },
+    "swap-back"
+  );
+}
+
+export async function getBalances(publicClient, address) {
+  const [eth, weth, usdc] = await Promise.all([
+    publicClient.getBalance({ address }),
+    publicClient.readContract({
+      address: WETH_ADDRESS,
+      abi: ERC20_ABI,
+      functionName: "balanceOf",
+      args: [address],
+    }),
+    publicClient.readContract({
+      address: USDC_ADDRESS,
+      abi: ERC20_ABI,
+      functionName: "balanceOf",
+      args: [address],
+    }),
+  ]);
+  return { eth, weth, usdc };
+}
+
+export function printQuotes(quotes, formatAmountOut, symbolOut) {
+  quotes.forEach((quote, index) => {
+    if (quote.error) {
+      console.log(`  ❌ ${quote.router.name}: ${quote.error}`);
+    } else {
+      console.log(
+        `  ${index === 0 ? "🏆" : "  "} ${quote.router.name}: ${formatAmountOut(
+          quote.amountOut
+        )} ${symbolOut}`
+      );
+    }
+  });
+}
+
+// Shared by swap.js and swapBack.js:
+// <usd amount> [--slippage <percent>] [--deadline <seconds>] [--dry-run]
+export function parseSwapArgs(argv, usage) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        slippage: { type: "string" },
+        deadline: { type: "string" },
+        "dry-run": { type: "boolean", default: false },
+      },
+    });
+  } catch (error) {
+    throw new Error(`${error.message}\n\n${usage}`);
+  }
+
+  const { values, positionals } = parsed;
+  const amount = positionals[0];
+  if (!amount || !/^\d+(\.\d{1,6})?$/.test(amount) || Number(amount) <= 0) {
+    throw new Error(usage);
+  }
+
+  const slippageBps =
+    values.slippage !== undefined
+      ? Math.round(parseFloat(values.slippage) * 100)
+      : parseInt(process.env.SWAP_SLIPPAGE_BPS || DEFAULT_SLIPPAGE_BPS);
+  if (
+    !Number.isInteger(slippageBps) ||
+    slippageBps < 0 ||
+    slippageBps > MAX_SLIPPAGE_BPS
+  ) {
+    throw new Error(
+      `Slippage must be between 0 and ${MAX_SLIPPAGE_BPS / 100}%`
+    );
+  }
+
+  const deadlineSeconds = parseInt(
+    values.deadline ||
+      process.env.SWAP_DEADLINE_SECONDS ||
+      DEFAULT_DEADLINE_SECONDS
+  );
+  if (!Number.isInteger(deadlineSeconds) || deadlineSeconds <= 0) {
+    throw new Error("Deadline must be a positive number of seconds");
+  }
+
+  return {
+    amount,
+    slippageBps,
+    deadlineSeconds,
+    dryRun: values["dry-run"],
+  };
+}
+
+export function printBalances(balances) {
+  console.log(
+    `💰 ETH ${formatEther(balances.eth)}  WETH ${formatEther(
+      balances.weth
+    )}  USDC ${formatUsdc(balances.usdc)}`
+  );
+}
@@ -1,8 +1,77 @@
 import { FULL_CONTRACT_ABI, GamePhase } from "./constants.js";
 import { log } from "./utils.js";
+import {
+  isGameCompleted,
+  getScanCheckpoint,
+  saveScanCheckpoint,
+  saveDiscoveredGame,
+  getDiscoveredGames,
+} from "./stateStore.js";
+import { createEventClientForChain } from "./clients.js";
 
 // Event listening and game discovery functions
 
+const EVENT_RESUBSCRIBE_DELAY_MS = 5000;
+
+// Provider errors that mean the requested block range should be smaller
+export function isRangeTooLargeError(error) {
+  const message = `${error.message} ${error.details || ""}`.toLowerCase();
+  return [
+    "range too large",
+    "block range",
+    "too many blocks",
+    "query returned more than",
+    "response size",
+    "limited to",
+    "max range",
+  ].some((pattern) => message.includes(pattern));
+}
+
+// Fetch GameCreated logs in block-range chunks, halving the chunk whenever the
+// provider rejects it and saving a checkpoint after each completed chunk
+async function scanGameCreatedEvents(
+  globalPublicClient,
+  globalContractAddress,
+  globalAccount,
+  fromBlock,
+  toBlock,
+  onEvents
+) {
+  const maxChunkSize = BigInt(process.env.SCAN_BLOCK_RANGE || 10000);
+  let chunkSize = maxChunkSize;
+  let start = fromBlock;
+
+  while (start <= toBlock) {
+    const end =
+      start + chunkSize - 1n < toBlock ? start + chunkSize - 1n : toBlock;
+
+    try {
+      const events = await globalPublicClient.getContractEvents({
+        address: globalContractAddress,
+        abi: FULL_CONTRACT_ABI,
+        eventName: "GameCreated",
+        args: {
+          gamemaster: globalAccount.address,
+        },
+        fromBlock: start,
+        toBlock: end,
+      });
+
+      onEvents(events);
+      saveScanCheckpoint(globalContractAddress, globalAccount.address, end);
+      start = end + 1n;
+    } catch (error) {
+      if (!isRangeTooLargeError(error) || chunkSize === 1n) {
+        throw error;
+      }
+      chunkSize = chunkSize / 2n > 0n ? chunkSize / 2n : 1n;
+      log(
+        `📉 Provider rejected blocks ${start}-${end}, shrinking scan range to ${chunkSize} blocks`
+      );
+    }
+  }
+}
+
 export async function scanForExistingGames(
   globalPublicClient,
   globalContractAddress,
@@ -12,168 +81,303 @@ export async function scanForExistingGames(
   try {
     log(`🔍 Scanning for existing games where we are gamemaster...`);
 
-    const gameCreatedEvents = await globalPublicClient.getContractEvents({
-      address: globalContractAddress,
-      abi: FULL_CONTRACT_ABI,
-      eventName: "GameCreated",
-      args: {
-        gamemaster: globalAccount.address,
-      },
-      fromBlock: 0n,
-      toBlock: "latest",
-    });
-
-    log(`📋 Found ${gameCreatedEvents.length} existing games`);
-
-    for (const event of gameCreatedEvents) {
-      const gameId = event.args.gameId.toString();
-      const gamemaster = event.args.gamemaster;
-      const creator = event.args.creator;
-      const stakeAmount = event.args.stakeAmount;
-
-      log(`📋 Processing existing game ${gameId}`, gameId);
-      log(`  Gamemaster: ${gamemaster}`, gameId);
-      log(`  Creator: ${creator}`, gameId);
-      log(`  Stake: ${Number(stakeAmount) / 1e18} ETH`, gameId);
-
-      gameStates.set(gameId, {
-        gameId,
-        gamemaster,
-        creator,
-        stakeAmount,
+    let loadedCount = 0;
+    let skippedCount = 0;
+    const addGame = (game) => {
+      // Completed games (including refunded expired ones) are in the state store
+      if (isGameCompleted(globalContractAddress, game.gameId)) {
+        skippedCount++;
+        return;
+      }
+      if (gameStates.has(game.gameId)) {
+        return;
+      }
+
+      log(`📋 Processing existing game ${game.gameId}`, game.gameId);
+      log(`  Gamemaster: ${game.gamemaster}`, game.gameId);
+      log(`  Creator: ${game.creator}`, game.gameId);
+      log(`  Stake: ${Number(game.stakeAmount) / 1e18} ETH`, game.gameId);
+
+      gameStates.set(game.gameId, {
+        ...game,
         phase: GamePhase.CREATED,
         lastUpdated: Date.now(),
       });
+      loadedCount++;
+    };
+
+    // Games found before the last checkpoint
+    const checkpoint = getScanCheckpoint(
+      globalContractAddress,
+      globalAccount.address
+    );
+    if (checkpoint !== null) {
+      const knownGames = getDiscoveredGames(globalContractAddress).filter(
+        (game) =>
+          game.gamemaster.toLowerCase() === globalAccount.address.toLowerCase()
+      );
+      log(
+        `📌 Resuming scan after block ${checkpoint} (${knownGames.length} games already known)`
+      );
+      knownGames.forEach(addGame);
     }
 
-    log(`✅ Scanned and loaded ${gameCreatedEvents.length} existing games`);
-    return gameCreatedEvents.length;
+    const deployBlock = process.env.CONTRACT_DEPLOY_BLOCK
+      ? BigInt(process.env.CONTRACT_DEPLOY_BLOCK)
+      : 0n;
+    const fromBlock =
+      checkpoint !== null && checkpoint + 1n > deployBlock
+        ? checkpoint + 1n
+        : deployBlock;
+    const toBlock = await globalPublicClient.getBlockNumber();
+
+    let foundCount = 0;
+    if (fromBlock <= toBlock) {
+      log(`🔎 Scanning blocks ${fromBlock} to ${toBlock}...`);
+      await scanGameCreatedEvents(
+        globalPublicClient,
+        globalContractAddress,
+        globalAccount,
+        fromBlock,
+        toBlock,
+        (events) => {
+          for (const event of events) {
+            const game = {
+              gameId: event.args.gameId.toString(),
+              gamemaster: event.args.gamemaster,
+              creator: event.args.creator,
+              stakeAmount: event.args.stakeAmount,
+            };
+            saveDiscoveredGame(globalContractAddress, game);
+            addGame(game);
+            foundCount++;
+          }
+        }
+      );
+    }
+
+    log(`📋 Found ${foundCount} new games since the last scan`);
+    if (skippedCount > 0) {
+      log(`⏭️ Skipped ${skippedCount} games already completed`);
+    }
+    log(`✅ Scanned and loaded ${loadedCount} existing games`);
+    return loadedCount;
   } catch (error) {
     log(`❌ Error scanning for existing games: ${error.message}`);
     return 0;
   }
 }
 
+function watchGameEvents(
+  eventClient,
+  globalContractAddress,
+  globalAccount,
+  gameStates,
+  onError
+) {
+  // Listen for GameCreated events (new games)
+  const unsubscribeGameCreated = eventClient.watchContractEvent({
+    address: globalContractAddress,
+    abi: FULL_CONTRACT_ABI,
+    eventName: "GameCreated",
+    args: {
+      gamemaster: globalAccount.address,
+    },
+    onError,
+    onLogs: (logs) => {
+      logs.forEach((eventLog) => {
+        const gameId = eventLog.args.gameId.toString();
+        const gamemaster = eventLog.args.gamemaster;
+        const creator = eventLog.args.creator;
+        const stakeAmount = eventLog.args.stakeAmount;
+
+        log(`🎮 NEW game created! Game ID: ${gameId}`, gameId);
+        log(`  Gamemaster: ${gamemaster}`, gameId);
+        log(`  Creator: ${creator}`, gameId);
+        log(`  Stake: ${Number(stakeAmount) / 1e18} ETH`, gameId);
+
+        saveDiscoveredGame(globalContractAddress, {
+          gameId,
+          gamemaster,
+          creator,
+          stakeAmount,
+        });
+        gameStates.set(gameId, {
+          gameId,
+          gamemaster,
+          creator,
+          stakeAmount,
+          phase: GamePhase.CREATED,
+          lastUpdated: Date.now(),
+        });
+      });
+    },
+  });
+
+  // Listen for GameClosed events
+  const unsubscribeGameClosed = eventClient.watchContractEvent({
+    address: globalContractAddress,
+    abi: FULL_CONTRACT_ABI,
+    eventName: "GameClosed",
+    onError,
+    onLogs: (logs) => {
+      logs.forEach((eventLog) => {
+        const gameId = eventLog.args.gameId.toString();
+        const startTime = eventLog.args.startTime;
+        const mapSize = eventLog.args.mapSize;
+        const eventGameState = gameStates.get(gameId);
+
+        if (eventGameState) {
+          log(`🔒 Game closed! Game ID: ${gameId}`, gameId);
+          log(`📐 Map size calculated: ${mapSize}x${mapSize}`, gameId);
+          log(
+            `⏰ Game start time: ${new Date(
+              Number(startTime) * 1000
+            ).toISOString()}`,
+            gameId
+          );
+          eventGameState.phase = GamePhase.CLOSED;
+          eventGameState.mapSize = Number(mapSize);
+          eventGameState.lastUpdated = Date.now();
+          gameStates.set(gameId, eventGameState);
+        }
+      });
+    },
+  });
+
+  // Listen for HashCommitted events (to track our commits)
+  const unsubscribeHashCommitted = eventClient.watchContractEvent({
+    address: globalContractAddress,
+    abi: FULL_CONTRACT_ABI,
+    eventName: "HashCommitted",
+    onError,
+    onLogs: (logs) => {
+      logs.forEach((eventLog) => {
+        const gameId = eventLog.args.gameId.toString();
+        const commitGameState = gameStates.get(gameId);
+
+        if (commitGameState) {
+          log(`📝 Hash committed for game ${gameId}`, gameId);
+          commitGameState.phase = GamePhase.COMMITTED;
+          commitGameState.lastUpdated = Date.now();
+          gameStates.set(gameId, commitGameState);
+        }
+      });
+    },
+  });
+
+  // Listen for GameOpened events (when game becomes open for players)
+  const unsubscribeGameOpened = eventClient.watchContractEvent({
+    address: globalContractAddress,
+    abi: FULL_CONTRACT_ABI,
+    eventName: "GameOpened",
+    onError,
+    onLogs: (logs) => {
+      logs.forEach((eventLog) => {
+        const gameId = eventLog.args.gameId.toString();
+        const openGameState = gameStates.get(gameId);
+
+        if (openGameState) {
+          log(`🔓 Game opened for players! Game ID: ${gameId}`, gameId);
+          log(`👥 Players can now join the game`, gameId);
+          openGameState.lastUpdated = Date.now();
+          gameStates.set(gameId, openGameState);
+        }
+      });
+    },
+  });
+
+  return [
+    unsubscribeGameCreated,
+    unsubscribeGameClosed,
+    unsubscribeHashCommitted,
+    unsubscribeGameOpened,
+  ];
+}
+
+// Subscriptions are re-created on the next endpoint whenever one of them
+// errors, followed by a scan for GameCreated events missed in between
 export async function setupEventListeners(
   globalPublicClient,
   globalContractAddress,
   globalAccount,
   gameStates
 ) {
+  let endpointIndex = 0;
+  let eventEndpoint = null;
+  let unsubscribers = [];
+  let resubscribeTimer = null;
+
+  const subscribe = () => {
+    eventEndpoint = createEventClientForChain(endpointIndex);
+    const eventClient = eventEndpoint
+      ? eventEndpoint.client
+      : globalPublicClient;
+    log(
+      `📡 Subscribing to contract events via ${
+        eventEndpoint ? eventEndpoint.endpoint : "HTTP polling"
+      }`
+    );
+    unsubscribers = watchGameEvents(
+      eventClient,
+      globalContractAddress,
+      globalAccount,
+      gameStates,
+      handleSubscriptionError
+    );
+  };
+
+  const unsubscribeAll = () => {
+    unsubscribers.forEach((unsubscribe) => unsubscribe());
+    unsubscribers = [];
+    if (eventEndpoint) {
+      eventEndpoint.client.transport
+        .getRpcClient()
+        .then((rpcClient) => rpcClient.close())
+        .catch(() => {});
+    }
+  };
+
+  // One error burst (every watcher failing at once) triggers one resubscribe
+  function handleSubscriptionError(error) {
+    if (resubscribeTimer) {
+      return;
+    }
+
+    log(
+      `⚠️ Event subscription error: ${
+        error.shortMessage || error.message
+      } - resubscribing in ${EVENT_RESUBSCRIBE_DELAY_MS / 1000}s`
+    );
+    unsubscribeAll();
+    endpointIndex++;
+
+    resubscribeTimer = setTimeout(async () => {
+      resubscribeTimer = null;
+      subscribe();
+      await scanForExistingGames(
+        globalPublicClient,
+        globalContractAddress,
+        globalAccount,
+        gameStates
+      );
+    }, EVENT_RESUBSCRIBE_DELAY_MS);
+  }
+
   try {
     log(`📡 Setting up event listeners...`);
     log(
       `🎯 Listening for games where we are gamemaster: ${globalAccount.address}`
     );
 
-    // Listen for GameCreated events (new games)
-    const unsubscribeGameCreated = globalPublicClient.watchContractEvent({
-      address: globalContractAddress,
-      abi: FULL_CONTRACT_ABI,
-      eventName: "GameCreated",
-      args: {
-        gamemaster: globalAccount.address,
-      },
-      onLogs: (logs) => {
-        logs.forEach((eventLog) => {
-          const gameId = eventLog.args.gameId.toString();
-          const gamemaster = eventLog.args.gamemaster;
-          const creator = eventLog.args.creator;
-          const stakeAmount = eventLog.args.stakeAmount;
-
-          log(`🎮 NEW game created! Game ID: ${gameId}`, gameId);
-          log(`  Gamemaster: ${gamemaster}`, gameId);
-          log(`  Creator: ${creator}`, gameId);
-          log(`  Stake: ${Number(stakeAmount) / 1e18} ETH`, gameId);
-
-          gameStates.set(gameId, {
-            gameId,
-            gamemaster,
-            creator,
-            stakeAmount,
-            phase: GamePhase.CREATED,
-            lastUpdated: Date.now(),
-          });
-        });
-      },
-    });
-
-    // Listen for GameClosed events
-    const unsubscribeGameClosed = globalPublicClient.watchContractEvent({
-      address: globalContractAddress,
-      abi: FULL_CONTRACT_ABI,
-      eventName: "GameClosed",
-      onLogs: (logs) => {
-        logs.forEach((eventLog) => {
-          const gameId = eventLog.args.gameId.toString();
-          const startTime = eventLog.args.startTime;
-          const mapSize = eventLog.args.mapSize;
-          const eventGameState = gameStates.get(gameId);
-
-          if (eventGameState) {
-            log(`🔒 Game closed! Game ID: ${gameId}`, gameId);
-            log(`📐 Map size calculated: ${mapSize}x${mapSize}`, gameId);
-            log(
-              `⏰ Game start time: ${new Date(
-                Number(startTime) * 1000
-              ).toISOString()}`,
-              gameId
-            );
-            eventGameState.phase = GamePhase.CLOSED;
-            eventGameState.mapSize = Number(mapSize);
-            eventGameState.lastUpdated = Date.now();
-            gameStates.set(gameId, eventGameState);
-          }
-        });
-      },
-    });
-
-    // Listen for HashCommitted events (to track our commits)
-    const unsubscribeHashCommitted = globalPublicClient.watchContractEvent({
-      address: globalContractAddress,
-      abi: FULL_CONTRACT_ABI,
-      eventName: "HashCommitted",
-      onLogs: (logs) => {
-        logs.forEach((eventLog) => {
-          const gameId = eventLog.args.gameId.toString();
-          const commitGameState = gameStates.get(gameId);
-
-          if (commitGameState) {
-            log(`📝 Hash committed for game ${gameId}`, gameId);
-            commitGameState.phase = GamePhase.COMMITTED;
-            commitGameState.lastUpdated = Date.now();
-            gameStates.set(gameId, commitGameState);
-          }
-        });
-      },
-    });
-
-    // Listen for GameOpened events (when game becomes open for players)
-    const unsubscribeGameOpened = globalPublicClient.watchContractEvent({
-      address: globalContractAddress,
-      abi: FULL_CONTRACT_ABI,
-      eventName: "GameOpened",
-      onLogs: (logs) => {
-        logs.forEach((eventLog) => {
-          const gameId = eventLog.args.gameId.toString();
-          const openGameState = gameStates.get(gameId);
-
-          if (openGameState) {
-            log(`🔓 Game opened for players! Game ID: ${gameId}`, gameId);
-            log(`👥 Players can now join the game`, gameId);
-            openGameState.lastUpdated = Date.now();
-            gameStates.set(gameId, openGameState);
-          }
-        });
-      },
-    });
+    subscribe();
 
     log(`✅ Event listeners set up successfully`);
     return [
-      unsubscribeGameCreated,
-      unsubscribeGameClosed,
-      unsubscribeHashCommitted,
-      unsubscribeGameOpened,
+      () => {
+        clearTimeout(resubscribeTimer);
+        unsubscribeAll();
+      },
     ];
   } catch (error) {
     log(`❌ Error setting up event listeners: ${error.message}`);
@@ -124,3 +124,133 @@ export function loadGameScores(gameId) {
     );
   }
 }
+
+// Replay of a finished game, served from saved/ once its game server stops
+export function saveGameReplay(gameId, replay) {
+  ensureSavedDirectory();
+  const filePath = `${SAVED_DIR}/replay_${gameId}.txt`;
+  fs.writeFileSync(filePath, JSON.stringify(replay));
+  log(`Saved replay to ${filePath}`, gameId);
+}
+
+export function loadGameReplay(gameId) {
+  const filePath = `${SAVED_DIR}/replay_${gameId}.txt`;
+  try {
+    if (!fs.existsSync(filePath)) {
+      return null;
+    }
+    return JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (error) {
+    log(`⚠️ Could not read ${filePath}: ${error.message}`, gameId);
+    return null;
+  }
+}
+
+// A game starting from the beginning must not serve an older game's replay
+export function removeGameReplay(gameId) {
+  const filePath = `${SAVED_DIR}/replay_${gameId}.txt`;
+  if (fs.existsSync(filePath)) {
+    fs.unlinkSync(filePath);
+    log(`🧹 Removed old replay file`, gameId);
+  }
+}
+
+// Save live game state so a running game can be resumed after a crash
+export function saveLiveGameState(gameId, liveState) {
+  ensureSavedDirectory();
+  const filePath = `${SAVED_DIR}/live_${gameId}.txt`;
+  const tempPath = `${filePath}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(liveState));
+  fs.renameSync(tempPath, filePath);
+}
+
+// A finished game can't be resumed; its final state is in scores_<gameId>.txt
+export function removeLiveGameState(gameId) {
+  const filePath = `${SAVED_DIR}/live_${gameId}.txt`;
+  if (fs.existsSync(filePath)) {
+    fs.unlinkSync(filePath);
+    log(`🧹 Removed live state file`, gameId);
+  }
+}
+
+// Load live game state, ignoring state saved for a different contract
+export function loadLiveGameState(gameId, contractAddress) {
+  const filePath = `${SAVED_DIR}/live_${gameId}.txt`;
+  try {
+    if (!fs.existsSync(filePath)) {
+      return null;
+    }
+    const liveState = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    if (
+      !liveState.contractAddress ||
+      liveState.contractAddress.toLowerCase() !== contractAddress.toLowerCase()
+    ) {
+      log(`⚠️ Ignoring ${filePath} saved for another contract`, gameId);
+      return null;
+    }
+    return liveState;
+  } catch (error) {
+    log(`⚠️ Could not read ${filePath}: ${error.message}`, gameId);
+    return null;
+  }
+}
+
+// Save the expiry and refund outcome for an expired game
+export function saveExpiryRecord(gameId, expiryRecord) {
+  ensureSavedDirectory();
+  const filePath = `${SAVED_DIR}/expiry_${gameId}.txt`;
+  fs.writeFileSync(
+    filePath,
+    JSON.stringify(
+      { gameId, ...expiryRecord, savedAt: new Date().toISOString() },
+      null,
+      2
+    )
+  );
+  log(`Saved expiry record to ${filePath}`, gameId);
+}
+
+// Record how the payout was decided alongside the final scores
+export function savePayoutRecord(gameId, payoutRecord) {
+  const filePath = `${SAVED_DIR}/scores_${gameId}.txt`;
+  try {
+    const scoresData = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    scoresData.payout = payoutRecord;
+    fs.writeFileSync(filePath, JSON.stringify(scoresData, null, 2));
+    log(`Saved payout record to ${filePath}`, gameId);
+  } catch (error) {
+    log(`⚠️ Could not save payout record: ${error.message}`, gameId);
+  }
+}
+
+// Transaction journal, one JSON entry per line
+export function appendTransactionJournal(entry) {
+  try {
+    ensureSavedDirectory();
+    fs.appendFileSync(
+      `${SAVED_DIR}/tx_journal.txt`,
+      JSON.stringify({ ...entry, recordedAt: new Date().toISOString() }) + "\n"
+    );
+  } catch (error) {
+    log(`⚠️ Could not write transaction journal: ${error.message}`);
+  }
+}
+
+// Read the transaction journal, skipping lines that don't parse
+export function loadTransactionJournal() {
+  const filePath = `${SAVED_DIR}/tx_journal.txt`;
+  if (!fs.existsSync(filePath)) {
+    return [];
+  }
+  return fs
+    .readFileSync(filePath, "utf8")
+    .split("\n")
+    .filter((line) => line.trim().length > 0)
+    .flatMap((line) => {
+      try {
+        return [JSON.parse(line)];
+      } catch (error) {
+        return [];
+      }
+    });
+}
@@ -1,8 +1,15 @@
 import dotenv from "dotenv";
 import fs from "fs";
+import { fork } from "child_process";
 import { createClients } from "./clients.js";
+import { getRegisteredChain, getActiveChain } from "./chains.js";
 import { DeterministicDice, GameLandGenerator } from "deterministic-map";
-import { GamePhase, SAVED_DIR, FULL_CONTRACT_ABI } from "./constants.js";
+import {
+  GamePhase,
+  SAVED_DIR,
+  FULL_CONTRACT_ABI,
+  GAME_PORT_BASE,
+} from "./constants.js";
 import {
   log,
   safeJsonConvert,
@@ -16,6 +23,9 @@ import {
   saveGameScores,
   calculateRandomHash,
   loadRevealValue,
+  loadLiveGameState,
+  removeLiveGameState,
+  loadGameMap,
 } from "./fileService.js";
 import {
   initializeGameServer,
@@ -24,9 +34,24 @@ import {
   getActiveGameServers,
   getGameServerInfo,
   generateGameServerUrl,
+  hasSiweOrigin,
 } from "./gameServer.js";
-import { processGamePhase, monitorGameProgress } from "./gameStateManager.js";
+import {
+  processGamePhase,
+  monitorGameProgress,
+  updateGameState,
+} from "./gameStateManager.js";
 import { scanForExistingGames, setupEventListeners } from "./eventListener.js";
+import {
+  restoreRetryState,
+  getCompletedGamesCount,
+  migrateLegacyGameRecords,
+} from "./stateStore.js";
+import { startAdminServer } from "./adminServer.js";
+import { isGatewayMode, getGatewayPort, startGateway } from "./gateway.js";
+import { startArchiveServer } from "./archive.js";
+import { loadRuleset, getMapRuleset, hashRuleset } from "./rulesets.js";
+import { validateEnvPayoutConfig } from "./payoutStrategies.js";
 
 dotenv.config();
 
@@ -42,18 +67,27 @@ let payoutRetryCount = new Map();
 let payoutLastRetryTime = new Map();
 let revealRetryCount = new Map();
 let revealLastRetryTime = new Map();
+let refundRetryCount = new Map();
+let refundLastRetryTime = new Map();
 let globalAccount = null;
 let globalPublicClient = null;
 let globalWalletClient = null;
 let globalContractAddress = null;
-let completedGamesCount = 0;
+let completedGamesCount = getCompletedGamesCount();
+let chainManagers = new Map(); // chain key -> child process
+let shuttingDown = false;
+
+const CHAIN_MANAGER_RESTART_DELAY_MS = 5000;
 
 // Initialize global blockchain clients
 async function initializeGlobalClients() {
   try {
-    globalContractAddress = process.env.CONTRACT_ADDRESS;
+    globalContractAddress =
+      process.env.CONTRACT_ADDRESS || getActiveChain().contractAddress;
     if (!globalContractAddress) {
-      throw new Error("CONTRACT_ADDRESS not found in .env file");
+      throw new Error(
+        "CONTRACT_ADDRESS not found in .env file or the chain registry"
+      );
     }
 
     const { account, publicClient, walletClient } = createClients();
@@ -62,6 +96,7 @@ async function initializeGlobalClients() {
     globalWalletClient = walletClient;
 
     log(`✅ Global blockchain clients initialized`);
+    log(`⛓️ Chain: ${getActiveChain().name} (${getActiveChain().chainId})`);
     log(`🔗 Account: ${account.address}`);
     log(`🏠 Contract: ${globalContractAddress}`);
     return true;
@@ -76,31 +111,43 @@ async function startGameServer(gameId) {
   try {
     log(`🚀 Starting game server for game ${gameId}...`, gameId);
 
-    const tooOld = await isGameTooOldToStart(
-      gameId,
-      globalPublicClient,
-      globalContractAddress,
-      FULL_CONTRACT_ABI
-    );
-    if (tooOld) {
+    // A live state file means the game was running when the process stopped
+    const liveState = loadLiveGameState(gameId, globalContractAddress);
+    if (liveState) {
       log(
-        `⚠️ Game is too old to start - block hash no longer available`,
+        `♻️ Found live state for game ${gameId} - resuming instead of restarting`,
         gameId
       );
-      markGameAsExpired(gameId, gameStates, GamePhase);
-      return false;
-    }
+    } else {
+      const tooOld = await isGameTooOldToStart(
+        gameId,
+        globalPublicClient,
+        globalContractAddress,
+        FULL_CONTRACT_ABI
+      );
+      if (tooOld) {
+        log(
+          `⚠️ Game is too old to start - block hash no longer available`,
+          gameId
+        );
+        markGameAsExpired(gameId, gameStates, GamePhase);
+        return false;
+      }
 
-    const blockHashAvailable = await isBlockHashAvailable(
-      gameId,
-      globalPublicClient,
-      globalContractAddress,
-      FULL_CONTRACT_ABI
-    );
-    if (!blockHashAvailable) {
-      log(`⚠️ Block hash not available for game - marking as expired`, gameId);
-      markGameAsExpired(gameId, gameStates, GamePhase);
-      return false;
+      const blockHashAvailable = await isBlockHashAvailable(
+        gameId,
+        globalPublicClient,
+        globalContractAddress,
+        FULL_CONTRACT_ABI
+      );
+      if (!blockHashAvailable) {
+        log(
+          `⚠️ Block hash not available for game - marking as expired`,
+          gameId
+        );
+        markGameAsExpired(gameId, gameStates, GamePhase);
+        return false;
+      }
     }
 
     // Check if game is already finished
@@ -160,60 +207,85 @@ async function startGameServer(gameId) {
       args: [BigInt(gameId)],
     });
 
+    // The saved map is the original, unmined board, so a resumed game reuses it
+    // along with the ruleset recorded in its metadata
+    const reuseSavedMap =
+      liveState && fs.existsSync(`${SAVED_DIR}/map_${gameId}.txt`);
+    const ruleset = reuseSavedMap
+      ? getMapRuleset(loadGameMap(gameId))
+      : loadRuleset(gameId);
+    const rulesetHash = hashRuleset(ruleset);
+    log(
+      `📏 Ruleset "${ruleset.name}" (hash ${rulesetHash.substring(0, 10)}...)`,
+      gameId
+    );
+
     const gameState = gameStates.get(gameId);
     const contractMapSize =
       gameState && gameState.mapSize > 0
         ? gameState.mapSize
-        : 1 + 4 * contractPlayers.length;
+        : 1 + ruleset.mapMultiplier * contractPlayers.length;
 
-    log(`🎮 Generating map for ${contractPlayers.length} players...`, gameId);
+    if (reuseSavedMap) {
+      log(`🗺️ Reusing saved map for resumed game`, gameId);
+    } else {
+      log(`🎮 Generating map for ${contractPlayers.length} players...`, gameId);
 
-    // Calculate random hash and generate map
-    const revealValue = loadRevealValue(gameId);
-    const randomHash = await calculateRandomHash(
-      gameId,
-      revealValue,
-      globalPublicClient,
-      globalContractAddress,
-      FULL_CONTRACT_ABI
-    );
+      // Calculate random hash and generate map
+      const revealValue = loadRevealValue(gameId);
+      const randomHash = liveState
+        ? liveState.randomHash
+        : await calculateRandomHash(
+            gameId,
+            revealValue,
+            globalPublicClient,
+            globalContractAddress,
+            FULL_CONTRACT_ABI
+          );
 
-    const dice = new DeterministicDice(randomHash);
-    const mapGenerator = new GameLandGenerator(dice, contractMapSize);
-    mapGenerator.generateLand();
-    mapGenerator.placeStartingPosition();
-
-    const mapData = {
-      size: mapGenerator.size,
-      land: mapGenerator.land,
-      startingPosition: mapGenerator.startingPosition,
-      metadata: {
-        generated: new Date().toISOString(),
-        gameId: gameId,
-        revealValue: revealValue,
-        randomHash: randomHash,
-      },
-    };
-
-    saveGameMap(gameId, mapData);
-    log(
-      `✅ Map generated successfully: ${mapData.size}x${mapData.size}`,
-      gameId
-    );
+      const dice = new DeterministicDice(randomHash);
+      const mapGenerator = new GameLandGenerator(dice, contractMapSize);
+      mapGenerator.generateLand();
+      mapGenerator.placeStartingPosition();
+
+      const mapData = {
+        size: mapGenerator.size,
+        land: mapGenerator.land,
+        startingPosition: mapGenerator.startingPosition,
+        metadata: {
+          generated: new Date().toISOString(),
+          gameId: gameId,
+          revealValue: revealValue,
+          randomHash: randomHash,
+          ruleset: ruleset,
+          rulesetHash: rulesetHash,
+        },
+      };
+
+      saveGameMap(gameId, mapData);
+      log(
+        `✅ Map generated successfully: ${mapData.size}x${mapData.size}`,
+        gameId
+      );
+    }
 
     // Start new server (no need to stop existing servers)
     const serverResult = await initializeGameServer(
       gameId,
       globalPublicClient,
-      globalContractAddress
+      globalContractAddress,
+      ruleset
     );
 
     if (serverResult.server) {
-      const port = 8000 + parseInt(gameId);
+      const port = isGatewayMode()
+        ? getGatewayPort()
+        : GAME_PORT_BASE + parseInt(gameId);
       activeGameServers.set(gameId, {
         server: serverResult.server,
         isHTTPS: serverResult.isHTTPS,
         port: port,
+        gateway: Boolean(serverResult.gateway),
       });
 
       log(`✅ Game server started successfully for game ${gameId}!`, gameId);
@@ -261,7 +333,8 @@ async function stopGameServer(gameId) {
 
   const serverInfo = activeGameServers.get(gameId);
   if (serverInfo) {
-    if (serverInfo.server) {
+    // The gateway listener is shared; cleanupGameServer unmounts this game
+    if (serverInfo.server && !serverInfo.gateway) {
       serverInfo.server.close();
     }
     activeGameServers.delete(gameId);
@@ -278,6 +351,7 @@ async function stopGameServer(gameId) {
       key.startsWith(`timer_warning_${gameId}`) ||
       key.startsWith(`payout_retry_${gameId}`) ||
       key.startsWith(`reveal_retry_${gameId}`) ||
+      key.startsWith(`refund_retry_${gameId}`) ||
       key.startsWith(`block_hash_waiting_${gameId}`) ||
       key.startsWith(`block_hash_action_${gameId}`) ||
       key.startsWith(`block_hash_start_${gameId}`)
@@ -292,6 +366,8 @@ async function stopGameServer(gameId) {
   payoutLastRetryTime.delete(gameId);
   revealRetryCount.delete(gameId);
   revealLastRetryTime.delete(gameId);
+  refundRetryCount.delete(gameId);
+  refundLastRetryTime.delete(gameId);
 }
 
 // Stop all game servers
@@ -319,6 +395,7 @@ async function monitorGameProgressWrapper(gameId) {
   if (allPlayersFinished) {
     log(`🏁 All players finished! Saving final scores...`, gameId);
     saveGameScores(gameId, playerData);
+    removeLiveGameState(gameId);
 
     const currentMonitoringGameState = gameStates.get(gameId);
     if (currentMonitoringGameState) {
@@ -395,11 +472,14 @@ async function gameLoop() {
             payoutLastRetryTime,
             revealRetryCount,
             revealLastRetryTime,
+            refundRetryCount,
+            refundLastRetryTime,
             completedGamesCount,
             startGameServer,
             monitorGameProgressWrapper,
             stopGameServer
           );
+          completedGamesCount = getCompletedGamesCount();
 
           // Check if the game was completed and server should be stopped
           if (!gameStates.has(gameId) && activeGameServers.has(gameId)) {
@@ -412,7 +492,11 @@ async function gameLoop() {
         const currentServerStatus =
           activeServers.length > 0
             ? `${activeServers.length} active servers: [${activeServers
-                .map((id) => `${id}:${8000 + parseInt(id)}`)
+                .map((id) =>
+                  isGatewayMode()
+                    ? `${id}:/games/${id}`
+                    : `${id}:${GAME_PORT_BASE + parseInt(id)}`
+                )
                 .join(", ")}]`
             : "No active servers";
 
@@ -439,12 +523,143 @@ async function gameLoop() {
   }
 }
 
+// ===============================
+// MULTI-CHAIN SUPERVISOR
+// ===============================
+
+// Game IDs are only unique per contract, so each chain runs in its own child
+// process with its own saved directory, port range and clients
+function startChainManager(chainKey) {
+  const chain = getRegisteredChain(chainKey);
+  const child = fork(process.argv[1], process.argv.slice(2), {
+    env: {
+      ...process.env,
+      CHAINS: "",
+      CHAIN: chainKey,
+      // Empty values stop dotenv from re-applying single-chain settings
+      CHAIN_ID: "",
+      ALCHEMY_API_KEY: "",
+      RPC_URLS: "",
+      RPC_WS_URLS: "",
+      CONTRACT_ADDRESS: chain.contractAddress || "",
+      SAVED_DIR: `${SAVED_DIR}/${chainKey}`,
+      GAME_PORT_BASE: String(chain.gamePortBase),
+      GAME_PORT_RANGE: String(chain.gamePortRange),
+      ADMIN_PORT: chain.adminPort ? String(chain.adminPort) : "",
+      GATEWAY_PORT: chain.gatewayPort ? String(chain.gatewayPort) : "",
+      GATEWAY_PUBLIC_URL: chain.gatewayPublicUrl || "",
+      ARCHIVE_PORT: chain.archivePort ? String(chain.archivePort) : "",
+      LOG_PREFIX: chainKey,
+    },
+  });
+  chainManagers.set(chainKey, child);
+  log(
+    `⛓️ Started ${chain.name} manager (pid ${child.pid}, ports ${chain.gamePortBase}-${
+      chain.gamePortBase + chain.gamePortRange - 1
+    })`
+  );
+
+  child.on("exit", (code, signal) => {
+    chainManagers.delete(chainKey);
+    if (shuttingDown) {
+      return;
+    }
+    log(
+      `⚠️ ${chain.name} manager exited (${
+        signal || `code ${code}`
+      }) - restarting in ${CHAIN_MANAGER_RESTART_DELAY_MS / 1000}s`
+    );
+    setTimeout(
+      () => startChainManager(chainKey),
+      CHAIN_MANAGER_RESTART_DELAY_MS
+    );
+  });
+}
+
+function superviseChains(chainKeys) {
+  console.log("\n🎮 AUTOMATED GAME MANAGER (MULTI-CHAIN)");
+  console.log("=======================================");
+
+  // One gateway or archive can't serve two contracts: their game ids collide
+  const sharedPorts = ["GATEWAY_PORT", "GATEWAY_PUBLIC_URL", "ARCHIVE_PORT"];
+  const sharedPort = sharedPorts.find((name) => process.env[name]);
+  if (sharedPort) {
+    throw new Error(
+      `${sharedPort} can't be shared by several chains - set gatewayPort, gatewayPublicUrl and archivePort on each chain in the registry`
+    );
+  }
+
+  const portRanges = [];
+  const fixedPorts = [];
+  for (const chainKey of chainKeys) {
+    const chain = getRegisteredChain(chainKey);
+    if (!chain.contractAddress) {
+      throw new Error(`No contractAddress configured for chain "${chainKey}"`);
+    }
+
+    const first = chain.gamePortBase;
+    const last = chain.gamePortBase + chain.gamePortRange - 1;
+    const overlapping = portRanges.find(
+      (range) => first <= range.last && range.first <= last
+    );
+    if (overlapping) {
+      throw new Error(
+        `Chain "${chainKey}" game ports ${first}-${last} overlap chain "${overlapping.chainKey}" (${overlapping.first}-${overlapping.last})`
+      );
+    }
+    portRanges.push({ chainKey, first, last });
+
+    for (const field of ["adminPort", "gatewayPort", "archivePort"]) {
+      if (chain[field]) {
+        fixedPorts.push({ chainKey, field, port: parseInt(chain[field]) });
+      }
+    }
+  }
+
+  fixedPorts.forEach(({ chainKey, field, port }, index) => {
+    const duplicate = fixedPorts.find(
+      (other, otherIndex) => otherIndex !== index && other.port === port
+    );
+    if (duplicate) {
+      throw new Error(
+        `Chain "${chainKey}" ${field} ${port} is also chain "${duplicate.chainKey}" ${duplicate.field}`
+      );
+    }
+    const range = portRanges.find(
+      (range) => range.first <= port && port <= range.last
+    );
+    if (range) {
+      throw new Error(
+        `Chain "${chainKey}" ${field} ${port} is inside chain "${range.chainKey}" game ports (${range.first}-${range.last})`
+      );
+    }
+  });
+
+  chainKeys.forEach(startChainManager);
+}
+
 // Main function
 async function main() {
   try {
+    const chainKeys = (process.env.CHAINS || "")
+      .split(",")
+      .map((chainKey) => chainKey.trim())
+      .filter((chainKey) => chainKey.length > 0);
+    if (chainKeys.length > 0) {
+      superviseChains(chainKeys);
+      return;
+    }
+
     console.log("\n🎮 AUTOMATED GAME MANAGER");
     console.log("========================");
 
+    validateEnvPayoutConfig();
+    if (!hasSiweOrigin()) {
+      log(
+        `⚠️ SIWE_DOMAIN, GAME_API_BASE and GATEWAY_PUBLIC_URL are unset - players sign in to localhost game URLs`
+      );
+    }
+
     const clientsInitialized = await initializeGlobalClients();
     if (!clientsInitialized) {
       console.error("❌ Failed to initialize blockchain clients");
@@ -453,6 +668,29 @@ async function main() {
 
     log(`🎯 Gamemaster account: ${globalAccount.address}`);
 
+    const migratedRecords = migrateLegacyGameRecords(globalContractAddress);
+    if (migratedRecords > 0) {
+      log(
+        `♻️ Keyed ${migratedRecords} state store records by contract address`
+      );
+    }
+
+    const restoredRetries = restoreRetryState(
+      globalContractAddress,
+      payoutRetryCount,
+      payoutLastRetryTime,
+      revealRetryCount,
+      revealLastRetryTime,
+      refundRetryCount,
+      refundLastRetryTime
+    );
+    if (restoredRetries > 0) {
+      log(`♻️ Restored ${restoredRetries} retry counters from state store`);
+    }
+    if (completedGamesCount > 0) {
+      log(`📚 ${completedGamesCount} games completed in previous runs`);
+    }
+
     log(`🔍 Scanning for existing games...`);
     const existingGameCount = await scanForExistingGames(
       globalPublicClient,
@@ -474,9 +712,42 @@ async function main() {
       gameStates
     );
 
+    if (process.env.ADMIN_PORT) {
+      await startAdminServer({
+        contractAddress: globalContractAddress,
+        gameStates,
+        activeGameServers,
+        payoutRetryCount,
+        payoutLastRetryTime,
+        revealRetryCount,
+        revealLastRetryTime,
+        refundRetryCount,
+        refundLastRetryTime,
+        stopGameServer,
+        updateGameState: (gameId) =>
+          updateGameState(
+            gameId,
+            globalPublicClient,
+            globalContractAddress,
+            gameStates,
+            activeGameServers.has(gameId) ? gameId : null
+          ),
+        getGamemasterAddress: () => globalAccount.address,
+        getCompletedGamesCount,
+      });
+    }
+
     log(`🚀 Starting automated game management...`);
     log(`⏰ Processing games every 250ms...`);
-    log(`🔧 Each game will run on port 8000 + gameId`);
+    if (isGatewayMode()) {
+      log(`🔧 Games are served on port ${getGatewayPort()} at /games/:gameId`);
+      await startGateway();
+    } else {
+      log(`🔧 Each game will run on port ${GAME_PORT_BASE} + gameId`);
+      if (process.env.ARCHIVE_PORT) {
+        await startArchiveServer();
+      }
+    }
 
     if (gameStates.size > 0) {
       log(
@@ -496,6 +767,22 @@ async function main() {
 // Graceful shutdown
 process.on("SIGINT", async () => {
   log("🛑 Shutting down gracefully...");
+  shuttingDown = true;
+
+  // Chain managers save their own scores; wait for them to exit
+  if (chainManagers.size > 0) {
+    await Promise.all(
+      Array.from(chainManagers.values()).map(
+        (child) =>
+          new Promise((resolve) => {
+            child.once("exit", resolve);
+            child.kill("SIGINT");
+          })
+      )
+    );
+    log("👋 Shutdown complete");
+    process.exit(0);
+  }
 
   // Save scores for all active games
   const activeGames = Array.from(activeGameServers.keys());
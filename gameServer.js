@@ -2,48 +2,123 @@ import express from "express";
 import fs from "fs";
 import https from "https";
 import jwt from "jsonwebtoken";
-import { verifyMessage } from "viem";
-import { PlayerPositionGenerator } from "deterministic-map";
+import { WebSocketServer, WebSocket } from "ws";
+import { isAddress, getAddress } from "viem";
+import {
+  createSiweMessage,
+  generateSiweNonce,
+  parseSiweMessage,
+} from "viem/siwe";
 import {
   BASE_JWT_SECRET,
   JWT_EXPIRES_IN,
-  MAX_MOVES,
-  MAX_MINES,
-  TILE_POINTS,
-  DIRECTIONS,
-  MAP_MULTIPLIER,
-  GAME_TIMER_DURATION,
   FULL_CONTRACT_ABI,
+  GAME_PORT_BASE,
 } from "./constants.js";
 import { log, safeJsonConvert } from "./utils.js";
+import { createAccountFromEnv } from "./clients.js";
+import { getActiveChain } from "./chains.js";
 import {
   loadGameMap,
   loadRevealValue,
   calculateRandomHash,
   saveGameScores,
+  saveLiveGameState,
+  loadLiveGameState,
+  saveGameReplay,
+  removeGameReplay,
 } from "./fileService.js";
+import {
+  TranscriptRecorder,
+  resetTranscript,
+  buildTranscriptResponse,
+} from "./transcriptService.js";
+import { hashRuleset } from "./rulesets.js";
+import {
+  isGatewayMode,
+  getGatewayPort,
+  hasSslCertificates,
+  mountGame,
+  unmountGame,
+  generateGameServerUrl,
+  getGamePortError,
+} from "./gateway.js";
+
+export { generateGameServerUrl };
 
 // Global registry of active game server instances
 const activeGameServers = new Map(); // gameId -> GameServerInstance
 
+// Sign-In With Ethereum nonces are single-use and expire with their message
+const SIWE_NONCE_TTL_MS = 5 * 60 * 1000;
+// GET /register is unauthenticated, so pending nonces are capped per client
+// and per game; past a cap the oldest pending nonce is dropped
+const SIWE_MAX_NONCES_PER_CLIENT = 5;
+const SIWE_MAX_NONCES = 1000;
+
+// Spectators see the full board this far behind the live game; a value that
+// isn't a number of seconds falls back to the default rather than to no delay
+const DEFAULT_SPECTATOR_DELAY_SECONDS = 15;
+
+function getSpectatorDelayMs() {
+  const value = process.env.SPECTATOR_DELAY_SECONDS;
+  if (value === undefined || value.trim() === "") {
+    return DEFAULT_SPECTATOR_DELAY_SECONDS * 1000;
+  }
+
+  const seconds = Number(value);
+  if (!Number.isFinite(seconds) || seconds < 0) {
+    log(
+      `⚠️ Invalid SPECTATOR_DELAY_SECONDS "${value}" - using ${DEFAULT_SPECTATOR_DELAY_SECONDS}s`
+    );
+    return DEFAULT_SPECTATOR_DELAY_SECONDS * 1000;
+  }
+  return seconds * 1000;
+}
+
+const SPECTATOR_DELAY_MS = getSpectatorDelayMs();
+
+// Sign-in messages name a configured domain, not one taken from the request;
+// without one it is the localhost URL the game servers are published under
+export function hasSiweOrigin() {
+  return Boolean(
+    process.env.SIWE_DOMAIN ||
+    process.env.GAME_API_BASE ||
+    (isGatewayMode() && process.env.GATEWAY_PUBLIC_URL)
+  );
+}
+
 // GameServerInstance class to encapsulate each game's state and methods
-class GameServerInstance {
-  constructor(gameId, globalPublicClient, globalContractAddress) {
+export class GameServerInstance {
+  constructor(gameId, globalPublicClient, globalContractAddress, ruleset) {
     this.gameId = gameId;
     this.globalPublicClient = globalPublicClient;
     this.globalContractAddress = globalContractAddress;
-    this.port = 8000 + parseInt(gameId);
+    this.ruleset = ruleset;
+    this.rulesetHash = hashRuleset(ruleset);
+    this.port = isGatewayMode()
+      ? getGatewayPort()
+      : GAME_PORT_BASE + parseInt(gameId);
+    this.basePath = isGatewayMode() ? `/games/${gameId}` : "";
 
     // Express app instance for this game
     this.app = express();
 
     // Game server state
     this.gameMap = null;
+    this.originalLand = null; // land as generated, before any mining
     this.players = [];
     this.playerPositions = new Map();
+    this.startingPositions = new Map();
     this.playerStats = new Map();
+    this.depletedTiles = [];
+    this.recentMines = new Map(); // "x,y" -> { tile, timestamp, players }
     this.revealSeed = null;
 
+    // Signed action transcript
+    this.gamemasterAccount = createAccountFromEnv();
+    this.transcript = null;
+
     // Timer state
     this.gameStartTime = null;
     this.gameTimerInterval = null;
@@ -52,6 +127,17 @@ class GameServerInstance {
     this.httpServer = null;
     this.httpsServer = null;
 
+    // WebSocket state
+    this.wsServer = null;
+    this.socketClients = new Map(); // socket -> { address, spectator }
+    this.wsTickInterval = null;
+    this.lastLeaderboard = new Map(); // address -> sanitized player data
+    this.gameOverBroadcast = false;
+    this.lastSpectatorActionCount = null;
+
+    // SIWE nonces issued by GET /register
+    this.siweNonces = new Map(); // nonce -> { expiresAt, client }, oldest first
+
     // Initialize middleware and routes
     this.initializeMiddleware();
     this.initializeRoutes();
@@ -64,9 +150,92 @@ class GameServerInstance {
     return BASE_JWT_SECRET + "-" + this.globalContractAddress.toLowerCase();
   }
 
-  generateSignMessage(providedTimestamp = null) {
-    const timestamp = providedTimestamp || Date.now();
-    return `Sign this message to authenticate with the game server.\n\nContract: ${this.globalContractAddress}\nGameId: ${this.gameId}\nNamespace: ScriptGame\nTimestamp: ${timestamp}\n\nThis signature is valid for 5 minutes.`;
+  // Public URL of this game, as stored in the contract; players sign in to it
+  getSiweUri() {
+    return generateGameServerUrl(this.gameId, hasSslCertificates());
+  }
+
+  // Never the request's Host header, which any client can set
+  getSiweDomain() {
+    return process.env.SIWE_DOMAIN || new URL(this.getSiweUri()).host;
+  }
+
+  getSiweStatement() {
+    return `Sign in to game ${this.gameId} on contract ${this.globalContractAddress}.`;
+  }
+
+  issueSiweNonce(client) {
+    const now = Date.now();
+    for (const [nonce, pending] of this.siweNonces.entries()) {
+      if (pending.expiresAt <= now) this.siweNonces.delete(nonce);
+    }
+
+    const clientNonces = Array.from(this.siweNonces.entries())
+      .filter(([, pending]) => pending.client === client)
+      .map(([nonce]) => nonce);
+    if (clientNonces.length >= SIWE_MAX_NONCES_PER_CLIENT) {
+      this.siweNonces.delete(clientNonces[0]);
+    }
+    if (this.siweNonces.size >= SIWE_MAX_NONCES) {
+      this.siweNonces.delete(this.siweNonces.keys().next().value);
+    }
+
+    const nonce = generateSiweNonce();
+    const expiresAt = now + SIWE_NONCE_TTL_MS;
+    this.siweNonces.set(nonce, { expiresAt, client });
+    return {
+      nonce,
+      issuedAt: new Date(now),
+      expirationTime: new Date(expiresAt),
+    };
+  }
+
+  // Returns the signing address, or an error string for the client
+  validateSiweMessage(message) {
+    let fields;
+    try {
+      fields = parseSiweMessage(message);
+    } catch (error) {
+      return { error: "Malformed SIWE message" };
+    }
+
+    if (!fields.address || !isAddress(fields.address, { strict: false })) {
+      return { error: "SIWE message has no valid address" };
+    }
+    if (fields.domain !== this.getSiweDomain()) {
+      return { error: `SIWE domain must be ${this.getSiweDomain()}` };
+    }
+    if (fields.uri !== this.getSiweUri()) {
+      return { error: `SIWE URI must be ${this.getSiweUri()}` };
+    }
+    if (fields.chainId !== getActiveChain().chainId) {
+      return { error: `SIWE chain ID must be ${getActiveChain().chainId}` };
+    }
+    if (fields.statement !== this.getSiweStatement()) {
+      return { error: "SIWE statement does not match this game" };
+    }
+
+    const now = Date.now();
+    const pendingNonce = this.siweNonces.get(fields.nonce);
+    if (!pendingNonce) {
+      return { error: "SIWE nonce is unknown or has already been used" };
+    }
+    if (pendingNonce.expiresAt <= now) {
+      this.siweNonces.delete(fields.nonce);
+      return { error: "SIWE nonce has expired" };
+    }
+    if (
+      !fields.expirationTime ||
+      isNaN(fields.expirationTime.getTime()) ||
+      fields.expirationTime.getTime() <= now
+    ) {
+      return { error: "SIWE message has expired" };
+    }
+    if (fields.notBefore && fields.notBefore.getTime() > now) {
+      return { error: "SIWE message is not valid yet" };
+    }
+
+    return { address: getAddress(fields.address), nonce: fields.nonce };
   }
 
   isValidPlayer(address) {
@@ -80,7 +249,7 @@ class GameServerInstance {
       return this.gameMap.size;
     }
     const playerCount = this.players.length;
-    return playerCount > 0 ? 1 + MAP_MULTIPLIER * playerCount : 5;
+    return playerCount > 0 ? 1 + this.ruleset.mapMultiplier * playerCount : 5;
   }
 
   wrapCoordinate(coord, mapSize = null) {
@@ -115,6 +284,9 @@ class GameServerInstance {
           score: stats.score,
           movesRemaining: stats.movesRemaining,
           minesRemaining: stats.minesRemaining,
+          movesUsed: stats.movesUsed,
+          scansUsed: stats.scansUsed || 0,
+          scoreReachedAt: stats.scoreReachedAt,
         });
       }
     });
@@ -131,6 +303,7 @@ class GameServerInstance {
           score: stats.score,
           movesRemaining: stats.movesRemaining,
           minesRemaining: stats.minesRemaining,
+          scansUsed: stats.scansUsed || 0,
         });
       }
     });
@@ -140,7 +313,7 @@ class GameServerInstance {
   getTimeRemaining() {
     if (!this.gameStartTime) return 0;
     const elapsed = Math.floor((Date.now() - this.gameStartTime) / 1000);
-    return Math.max(0, GAME_TIMER_DURATION - elapsed);
+    return Math.max(0, this.ruleset.timerDuration - elapsed);
   }
 
   forceFinishGameOnTimer() {
@@ -177,6 +350,448 @@ class GameServerInstance {
       clearTimeout(this.gameTimerInterval);
       this.gameTimerInterval = null;
     }
+
+    this.persistLiveState();
+
+    this.broadcast({ type: "timerExpired", timeRemaining: 0 });
+    this.broadcastLeaderboard();
+    this.broadcastGameOver();
+  }
+
+  recordAction(action) {
+    if (this.transcript) {
+      this.transcript.record(action);
+    }
+    this.persistLiveState();
+  }
+
+  // Snapshot everything needed to resume this game after a crash
+  persistLiveState() {
+    if (!this.gameMap || !this.gameStartTime) return;
+
+    try {
+      saveLiveGameState(this.gameId, {
+        gameId: this.gameId,
+        contractAddress: this.globalContractAddress,
+        randomHash: this.revealSeed,
+        gameStartTime: this.gameStartTime,
+        positions: Object.fromEntries(this.playerPositions),
+        stats: Object.fromEntries(this.playerStats),
+        depletedTiles: this.depletedTiles,
+        transcript: this.transcript ? this.transcript.entries : [],
+        savedAt: Date.now(),
+      });
+    } catch (error) {
+      log(`❌ Failed to save live game state: ${error.message}`, this.gameId);
+    }
+  }
+
+  restoreLiveState(liveState) {
+    Object.entries(liveState.positions || {}).forEach(([address, position]) => {
+      if (this.playerPositions.has(address)) {
+        this.playerPositions.set(address, position);
+      }
+    });
+    Object.entries(liveState.stats || {}).forEach(([address, stats]) => {
+      if (this.playerStats.has(address)) {
+        this.playerStats.set(address, stats);
+      }
+    });
+
+    this.depletedTiles = liveState.depletedTiles || [];
+    this.depletedTiles.forEach(({ x, y }) => {
+      this.gameMap.land[y][x] = 0;
+    });
+
+    this.gameStartTime = liveState.gameStartTime;
+    this.transcript = new TranscriptRecorder(
+      this.gameId,
+      this.gamemasterAccount,
+      this.revealSeed
+    );
+    this.transcript.restore(liveState.transcript || []);
+
+    this.transcript.entries
+      .filter((entry) => entry.action === "mine")
+      .forEach((entry) => {
+        const key = `${entry.position.x},${entry.position.y}`;
+        const mine = this.recentMines.get(key);
+        if (mine) {
+          mine.players.add(entry.player);
+        } else {
+          this.recentMines.set(key, {
+            tile: entry.tile,
+            timestamp: entry.timestamp,
+            players: new Set([entry.player]),
+          });
+        }
+      });
+
+    log(
+      `♻️ Resumed game started at ${new Date(
+        this.gameStartTime
+      ).toISOString()} (${this.getTimeRemaining()}s remaining, ${
+        this.depletedTiles.length
+      } tiles mined)`,
+      this.gameId
+    );
+  }
+
+  // Full board and every player's path, for rendering replays once the game has ended
+  getReplayData() {
+    const entries = this.transcript ? this.transcript.entries : [];
+
+    const players = this.players.map((address) => {
+      const key = address.toLowerCase();
+      const startPosition = this.startingPositions.get(key);
+      const stats = this.playerStats.get(key);
+      const actions = entries.filter((entry) => entry.player === key);
+
+      return {
+        address,
+        startPosition,
+        path: [
+          startPosition,
+          ...actions
+            .filter((entry) => entry.action === "move")
+            .map((entry) => entry.position),
+        ],
+        mined: actions
+          .filter((entry) => entry.action === "mine")
+          .map((entry) => ({
+            position: entry.position,
+            tile: entry.tile,
+            points: entry.points,
+            timestamp: entry.timestamp,
+          })),
+        score: stats ? stats.score : 0,
+        movesRemaining: stats ? stats.movesRemaining : 0,
+        minesRemaining: stats ? stats.minesRemaining : 0,
+      };
+    });
+
+    return {
+      gameId: this.gameId,
+      gamemaster: this.gamemasterAccount.address,
+      size: this.gameMap.size,
+      startingPosition: this.gameMap.startingPosition,
+      originalMap: this.originalLand,
+      finalMap: this.gameMap.land,
+      depletedTiles: this.depletedTiles,
+      revealValue: this.gameMap.metadata.revealValue,
+      randomHash: this.revealSeed,
+      rulesetHash: this.rulesetHash,
+      players,
+    };
+  }
+
+  // Board rebuilt from the transcript as it was SPECTATOR_DELAY_MS ago; once the
+  // game has ended there is nothing left to hide and the delay is dropped
+  getSpectatorView() {
+    const gameEnded = this.isGameOver() || this.getTimeRemaining() <= 0;
+    const asOf = gameEnded ? Date.now() : Date.now() - SPECTATOR_DELAY_MS;
+    const land = this.originalLand.map((row) => [...row]);
+
+    // Until the game ends only tiles a player has stood on are shown, so the
+    // board can't point anyone at rare tiles nobody has found yet
+    const revealed = new Set();
+    const reveal = (position) => {
+      if (position) revealed.add(`${position.x},${position.y}`);
+    };
+
+    const players = new Map();
+    this.players.forEach((address) => {
+      reveal(this.startingPositions.get(address.toLowerCase()));
+      players.set(address.toLowerCase(), {
+        address,
+        position: this.startingPositions.get(address.toLowerCase()),
+        score: 0,
+        movesRemaining: this.ruleset.maxMoves,
+        minesRemaining: this.ruleset.maxMines,
+        scansUsed: 0,
+      });
+    });
+
+    const entries = (this.transcript ? this.transcript.entries : []).filter(
+      (entry) => entry.timestamp <= asOf
+    );
+    entries.forEach((entry) => {
+      const player = players.get(entry.player);
+      if (!player) return;
+
+      if (entry.action === "move") {
+        player.position = entry.position;
+        player.movesRemaining--;
+        reveal(entry.position);
+      } else if (entry.action === "scan") {
+        player.movesRemaining--;
+        player.scansUsed++;
+      } else if (entry.action === "mine") {
+        land[entry.position.y][entry.position.x] = 0;
+        player.score += entry.points;
+        player.minesRemaining--;
+        reveal(entry.position);
+      }
+    });
+
+    return {
+      gameId: this.gameId,
+      delaySeconds: gameEnded ? 0 : SPECTATOR_DELAY_MS / 1000,
+      asOf,
+      actionCount: entries.length,
+      size: this.gameMap.size,
+      land: gameEnded
+        ? land
+        : land.map((row, y) =>
+            row.map((tile, x) => (revealed.has(`${x},${y}`) ? tile : null))
+          ),
+      players: Array.from(players.values()),
+    };
+  }
+
+  isGameOver() {
+    const playerData = this.getCurrentPlayerData();
+    if (playerData.length === 0) return false;
+    return playerData.every((p) => {
+      return p.minesRemaining === 0 || (p.movesRemaining === 0 && p.tile === 0);
+    });
+  }
+
+  sendToSocket(socket, payload) {
+    if (socket.readyState === WebSocket.OPEN) {
+      socket.send(JSON.stringify(safeJsonConvert(payload)));
+    }
+  }
+
+  broadcast(payload) {
+    for (const socket of this.socketClients.keys()) {
+      this.sendToSocket(socket, payload);
+    }
+  }
+
+  sendToPlayer(playerAddress, payload) {
+    const address = playerAddress.toLowerCase();
+    for (const [socket, client] of this.socketClients.entries()) {
+      if (client.address === address) {
+        this.sendToSocket(socket, payload);
+      }
+    }
+  }
+
+  // Only players whose public stats changed since the last broadcast are sent
+  broadcastLeaderboard() {
+    const changed = this.getSanitizedPlayerData().filter((player) => {
+      const previous = this.lastLeaderboard.get(player.address.toLowerCase());
+      return (
+        !previous ||
+        previous.score !== player.score ||
+        previous.movesRemaining !== player.movesRemaining ||
+        previous.minesRemaining !== player.minesRemaining
+      );
+    });
+
+    if (changed.length === 0) return;
+
+    changed.forEach((player) => {
+      this.lastLeaderboard.set(player.address.toLowerCase(), player);
+    });
+
+    this.broadcast({
+      type: "players",
+      gameId: this.gameId,
+      players: changed,
+      timeRemaining: this.getTimeRemaining(),
+    });
+  }
+
+  // Spectator sockets get the delayed board whenever another action passes the delay
+  broadcastSpectatorBoard(force = false) {
+    const spectators = Array.from(this.socketClients.entries()).filter(
+      ([, client]) => client.spectator
+    );
+    if (spectators.length === 0 || !this.originalLand) return;
+
+    const view = this.getSpectatorView();
+    if (!force && view.actionCount === this.lastSpectatorActionCount) return;
+    this.lastSpectatorActionCount = view.actionCount;
+
+    spectators.forEach(([socket]) => {
+      this.sendToSocket(socket, { type: "spectatorBoard", ...view });
+    });
+  }
+
+  // Kept in saved/ so GET /replay still works after this server stops. It is
+  // written once every transcript entry is signed on disk, since the archive
+  // only serves the transcript of games with a saved replay.
+  async persistReplay() {
+    try {
+      const replay = this.getReplayData();
+      if (this.transcript) {
+        await this.transcript.flush();
+      }
+      saveGameReplay(this.gameId, replay);
+    } catch (error) {
+      log(`❌ Failed to save replay: ${error.message}`, this.gameId);
+    }
+  }
+
+  broadcastGameOver() {
+    if (this.gameOverBroadcast) return;
+    this.gameOverBroadcast = true;
+
+    if (this.wsTickInterval) {
+      clearInterval(this.wsTickInterval);
+      this.wsTickInterval = null;
+    }
+
+    this.broadcast({
+      type: "gameOver",
+      gameId: this.gameId,
+      players: this.getSanitizedPlayerData(),
+      timeRemaining: this.getTimeRemaining(),
+    });
+    this.broadcastSpectatorBoard(true);
+    this.persistReplay();
+    log(
+      `📣 Game over broadcast to ${this.socketClients.size} sockets`,
+      this.gameId
+    );
+  }
+
+  // Push the acting player's private state, then the public leaderboard delta
+  publishPlayerUpdate(playerAddress, action, result) {
+    const localView = this.getLocalMapView(playerAddress);
+    const stats = this.playerStats.get(playerAddress.toLowerCase());
+
+    this.sendToPlayer(playerAddress, {
+      type: action,
+      player: playerAddress,
+      result,
+      localView: localView ? localView.view : null,
+      position: localView ? localView.position : null,
+      score: stats ? stats.score : 0,
+      movesRemaining: stats ? stats.movesRemaining : 0,
+      minesRemaining: stats ? stats.minesRemaining : 0,
+      timeRemaining: this.getTimeRemaining(),
+    });
+
+    this.broadcastLeaderboard();
+
+    if (this.isGameOver()) {
+      this.broadcastGameOver();
+    }
+  }
+
+  authenticateSocket(socket, token) {
+    jwt.verify(token, this.getJWTSecret(), (err, decoded) => {
+      if (err) {
+        return this.sendToSocket(socket, {
+          type: "error",
+          error: "Invalid or expired token",
+        });
+      }
+
+      if (!this.isValidPlayer(decoded.address)) {
+        return this.sendToSocket(socket, {
+          type: "error",
+          error: "Player no longer registered",
+        });
+      }
+
+      const client = this.socketClients.get(socket);
+      this.socketClients.set(socket, {
+        address: decoded.address,
+        spectator: Boolean(client && client.spectator),
+      });
+
+      const localView = this.getLocalMapView(decoded.address);
+      const stats = this.playerStats.get(decoded.address);
+
+      this.sendToSocket(socket, {
+        type: "authenticated",
+        player: decoded.address,
+        localView: localView ? localView.view : null,
+        position: localView ? localView.position : null,
+        score: stats ? stats.score : 0,
+        movesRemaining: stats ? stats.movesRemaining : 0,
+        minesRemaining: stats ? stats.minesRemaining : 0,
+        timeRemaining: this.getTimeRemaining(),
+      });
+    });
+  }
+
+  subscribeSpectator(socket) {
+    const client = this.socketClients.get(socket);
+    if (!client) return;
+
+    client.spectator = true;
+    if (this.originalLand) {
+      this.sendToSocket(socket, {
+        type: "spectatorBoard",
+        ...this.getSpectatorView(),
+      });
+    }
+  }
+
+  // Without a server (gateway mode) the gateway hands upgrades to this one
+  initializeWebSocket(server) {
+    this.wsServer = server
+      ? new WebSocketServer({ server, path: "/ws" })
+      : new WebSocketServer({ noServer: true });
+
+    this.wsServer.on("connection", (socket) => {
+      this.socketClients.set(socket, { address: null, spectator: false });
+
+      // Unauthenticated sockets start with the full public leaderboard
+      this.sendToSocket(socket, {
+        type: "welcome",
+        gameId: this.gameId,
+        players: this.getSanitizedPlayerData(),
+        timeRemaining: this.getTimeRemaining(),
+      });
+
+      socket.on("message", (data) => {
+        let message;
+        try {
+          message = JSON.parse(data.toString());
+        } catch (error) {
+          return this.sendToSocket(socket, {
+            type: "error",
+            error: "Messages must be JSON",
+          });
+        }
+
+        if (message.type === "auth" && message.token) {
+          this.authenticateSocket(socket, message.token);
+        } else if (message.type === "spectate") {
+          this.subscribeSpectator(socket);
+        } else {
+          this.sendToSocket(socket, {
+            type: "error",
+            error: "Unknown message type",
+          });
+        }
+      });
+
+      socket.on("close", () => {
+        this.socketClients.delete(socket);
+      });
+
+      socket.on("error", (error) => {
+        log(`❌ WebSocket error: ${error.message}`, this.gameId);
+        this.socketClients.delete(socket);
+      });
+    });
+
+    this.wsTickInterval = setInterval(() => {
+      this.broadcast({
+        type: "timer",
+        timeRemaining: this.getTimeRemaining(),
+      });
+      this.broadcastSpectatorBoard();
+    }, 1000);
+
+    log(`📡 WebSocket endpoint ready at ${this.basePath}/ws`, this.gameId);
   }
 
   async loadPlayersFromContract() {
@@ -190,8 +805,12 @@ class GameServerInstance {
 
       this.players = contractPlayers;
       this.playerPositions.clear();
+      this.startingPositions.clear();
       this.playerStats.clear();
 
+      // Imported here rather than at the top so this module loads without
+      // deterministic-map, e.g. in the tests, which place players themselves
+      const { PlayerPositionGenerator } = await import("deterministic-map");
       const mapSize = this.getCurrentMapSize();
       const playerPositionGenerator = new PlayerPositionGenerator(
         this.revealSeed
@@ -210,10 +829,14 @@ class GameServerInstance {
         };
 
         this.playerPositions.set(playerAddress.toLowerCase(), wrappedPos);
+        this.startingPositions.set(playerAddress.toLowerCase(), wrappedPos);
         this.playerStats.set(playerAddress.toLowerCase(), {
           score: 0,
-          movesRemaining: MAX_MOVES,
-          minesRemaining: MAX_MINES,
+          movesRemaining: this.ruleset.maxMoves,
+          minesRemaining: this.ruleset.maxMines,
+          movesUsed: 0,
+          scansUsed: 0,
+          scoreReachedAt: null,
         });
       });
 
@@ -278,7 +901,32 @@ class GameServerInstance {
     });
   };
 
-  getLocalMapView(playerAddress) {
+  // Addresses of the players standing on a tile, other than excludeAddress
+  getPlayersAt(x, y, excludeAddress) {
+    return this.players.filter((address) => {
+      if (address.toLowerCase() === excludeAddress.toLowerCase()) return false;
+      const position = this.playerPositions.get(address.toLowerCase());
+      return position && position.x === x && position.y === y;
+    });
+  }
+
+  // A tile mined by another player within mineTickMs that this player may share
+  getSameTickMine(position, playerAddress, timestamp) {
+    if (this.ruleset.sameTickMining !== "both") return null;
+
+    const mine = this.recentMines.get(`${position.x},${position.y}`);
+    if (
+      !mine ||
+      mine.players.has(playerAddress.toLowerCase()) ||
+      timestamp - mine.timestamp > this.ruleset.mineTickMs
+    ) {
+      return null;
+    }
+    return mine;
+  }
+
+  // Square of (2 * radius + 1) tiles centred on the player
+  getLocalMapView(playerAddress, radius = this.ruleset.viewRadius) {
     const position = this.playerPositions.get(playerAddress.toLowerCase());
     if (!position) {
       return null;
@@ -287,18 +935,22 @@ class GameServerInstance {
     const localView = [];
     const { x: centerX, y: centerY } = position;
 
-    for (let dy = -1; dy <= 1; dy++) {
+    for (let dy = -radius; dy <= radius; dy++) {
       const row = [];
-      for (let dx = -1; dx <= 1; dx++) {
+      for (let dx = -radius; dx <= radius; dx++) {
         const mapX = this.wrapCoordinate(centerX + dx, this.gameMap.size);
         const mapY = this.wrapCoordinate(centerY + dy, this.gameMap.size);
         const tile = this.gameMap.land[mapY][mapX];
 
-        if (dx === 0 && dy === 0) {
-          row.push({ tile, player: true, coordinates: { x: mapX, y: mapY } });
-        } else {
-          row.push({ tile, player: false, coordinates: { x: mapX, y: mapY } });
+        const cell = {
+          tile,
+          player: dx === 0 && dy === 0,
+          coordinates: { x: mapX, y: mapY },
+        };
+        if (this.ruleset.showPlayers) {
+          cell.otherPlayers = this.getPlayersAt(mapX, mapY, playerAddress);
         }
+        row.push(cell);
       }
       localView.push(row);
     }
@@ -325,7 +977,7 @@ class GameServerInstance {
     }
 
     const normalizedDirection = direction.toLowerCase().trim();
-    const dirVector = DIRECTIONS[normalizedDirection];
+    const dirVector = this.ruleset.directions[normalizedDirection];
     if (!dirVector) {
       return { success: false, error: "Invalid direction" };
     }
@@ -339,10 +991,27 @@ class GameServerInstance {
       this.gameMap.size
     );
 
+    if (
+      this.ruleset.blockOccupiedTiles &&
+      this.getPlayersAt(newX, newY, playerAddress).length > 0
+    ) {
+      return { success: false, error: "Tile occupied by another player" };
+    }
+
     this.playerPositions.set(playerAddress.toLowerCase(), { x: newX, y: newY });
     stats.movesRemaining--;
+    stats.movesUsed++;
     this.playerStats.set(playerAddress.toLowerCase(), stats);
 
+    this.recordAction({
+      player: playerAddress,
+      action: "move",
+      direction: normalizedDirection,
+      position: { x: newX, y: newY },
+      tile: this.gameMap.land[newY][newX],
+      points: 0,
+    });
+
     const result = {
       success: true,
       newPosition: { x: newX, y: newY },
@@ -352,6 +1021,60 @@ class GameServerInstance {
       score: stats.score,
     };
 
+    this.publishPlayerUpdate(playerAddress, "move", result);
+
+    return result;
+  }
+
+  // Costs a move and returns the wider scan view for this turn only
+  scanPlayer(playerAddress) {
+    if (this.ruleset.scanRadius === 0) {
+      return { success: false, error: "Scanning is disabled in this game" };
+    }
+
+    const currentPos = this.playerPositions.get(playerAddress.toLowerCase());
+    if (!currentPos) {
+      return { success: false, error: "Player not found" };
+    }
+
+    const stats = this.playerStats.get(playerAddress.toLowerCase());
+    if (!stats) {
+      return { success: false, error: "Player stats not found" };
+    }
+
+    if (stats.movesRemaining <= 0)
+      return { success: false, error: "No moves remaining" };
+
+    stats.movesRemaining--;
+    stats.movesUsed++;
+    stats.scansUsed = (stats.scansUsed || 0) + 1;
+    this.playerStats.set(playerAddress.toLowerCase(), stats);
+
+    this.recordAction({
+      player: playerAddress,
+      action: "scan",
+      position: currentPos,
+      tile: this.gameMap.land[currentPos.y][currentPos.x],
+      points: 0,
+    });
+
+    const scanView = this.getLocalMapView(
+      playerAddress,
+      this.ruleset.scanRadius
+    );
+    const result = {
+      success: true,
+      position: currentPos,
+      scanView: scanView.view,
+      scanRadius: this.ruleset.scanRadius,
+      movesRemaining: stats.movesRemaining,
+      minesRemaining: stats.minesRemaining,
+      scansUsed: stats.scansUsed,
+      score: stats.score,
+    };
+
+    this.publishPlayerUpdate(playerAddress, "scan", result);
+
     return result;
   }
 
@@ -369,16 +1092,46 @@ class GameServerInstance {
     if (stats.minesRemaining <= 0)
       return { success: false, error: "No mines remaining" };
 
-    const currentTile = this.gameMap.land[currentPos.y][currentPos.x];
+    // The transcript entry carries this timestamp, so verify.js sees the same tick
+    const timestamp = Date.now();
+    const sameTickMine =
+      this.gameMap.land[currentPos.y][currentPos.x] === 0
+        ? this.getSameTickMine(currentPos, playerAddress, timestamp)
+        : null;
+    const currentTile = sameTickMine
+      ? sameTickMine.tile
+      : this.gameMap.land[currentPos.y][currentPos.x];
     if (currentTile === 0)
       return { success: false, error: "Tile already mined" };
 
-    const pointsEarned = TILE_POINTS[currentTile] || 0;
+    const pointsEarned = this.ruleset.tilePoints[currentTile] || 0;
     stats.score += pointsEarned;
     stats.minesRemaining--;
+    if (pointsEarned > 0) {
+      stats.scoreReachedAt = timestamp;
+    }
     this.playerStats.set(playerAddress.toLowerCase(), stats);
 
-    this.gameMap.land[currentPos.y][currentPos.x] = 0;
+    if (sameTickMine) {
+      sameTickMine.players.add(playerAddress.toLowerCase());
+    } else {
+      this.gameMap.land[currentPos.y][currentPos.x] = 0;
+      this.depletedTiles.push({ x: currentPos.x, y: currentPos.y });
+      this.recentMines.set(`${currentPos.x},${currentPos.y}`, {
+        tile: currentTile,
+        timestamp,
+        players: new Set([playerAddress.toLowerCase()]),
+      });
+    }
+
+    this.recordAction({
+      player: playerAddress,
+      action: "mine",
+      position: currentPos,
+      tile: currentTile,
+      points: pointsEarned,
+      timestamp,
+    });
 
     const result = {
       success: true,
@@ -390,6 +1143,8 @@ class GameServerInstance {
       movesRemaining: stats.movesRemaining,
     };
 
+    this.publishPlayerUpdate(playerAddress, "mine", result);
+
     return result;
   }
 
@@ -405,22 +1160,39 @@ class GameServerInstance {
         version: "2.0.0",
         gameId: this.gameId,
         port: this.port,
+        basePath: this.basePath || "/",
         serverStatus: "running",
         playerCount: this.players.length,
         timestamp: new Date().toISOString(),
         timer: {
           active: gameActive,
-          duration: GAME_TIMER_DURATION,
+          duration: this.ruleset.timerDuration,
           timeRemaining: timeRemaining,
         },
+        ruleset: this.ruleset.name,
+        rulesetHash: this.rulesetHash,
+        view: {
+          size: 2 * this.ruleset.viewRadius + 1,
+          radius: this.ruleset.viewRadius,
+          scanSize:
+            this.ruleset.scanRadius > 0 ? 2 * this.ruleset.scanRadius + 1 : 0,
+          scanRadius: this.ruleset.scanRadius,
+        },
         endpoints: {
           register: "/register",
           map: "/map (requires auth)",
           move: "/move (requires auth)",
           mine: "/mine (requires auth)",
+          ...(this.ruleset.scanRadius > 0
+            ? { scan: "/scan (requires auth, costs a move)" }
+            : {}),
           status: "/status",
           players: "/players",
           test: "/test",
+          websocket: "/ws",
+          transcript: "/transcript (after game ends)",
+          replay: "/replay (after game ends)",
+          spectate: "/spectate",
         },
       });
     });
@@ -437,29 +1209,55 @@ class GameServerInstance {
       });
     });
 
+    // Issues a single-use nonce and the EIP-4361 fields to sign; with
+    // ?address= the complete message is returned ready to sign
     this.app.get("/register", (req, res) => {
-      const timestamp = Date.now();
-      const message = this.generateSignMessage(timestamp);
+      const { address } = req.query;
+      if (address && !isAddress(address, { strict: false })) {
+        return res.status(400).json({ error: "Invalid address" });
+      }
+
+      const { nonce, issuedAt, expirationTime } = this.issueSiweNonce(req.ip);
+      const siweFields = {
+        domain: this.getSiweDomain(),
+        uri: this.getSiweUri(),
+        version: "1",
+        chainId: getActiveChain().chainId,
+        statement: this.getSiweStatement(),
+        nonce,
+        issuedAt,
+        expirationTime,
+      };
 
       res.json({
         success: true,
-        message,
-        timestamp,
+        ...siweFields,
+        issuedAt: issuedAt.toISOString(),
+        expirationTime: expirationTime.toISOString(),
+        message: address
+          ? createSiweMessage({ ...siweFields, address: getAddress(address) })
+          : null,
         gameId: this.gameId,
         instructions:
-          "Sign this message with your Ethereum wallet to authenticate",
+          "Sign the EIP-4361 message with your Ethereum wallet and POST it to /register with the signature",
       });
     });
 
     this.app.post("/register", async (req, res) => {
-      const { signature, address, timestamp } = req.body;
+      const { signature, message } = req.body;
 
-      if (!signature || !address || !timestamp) {
+      if (!signature || !message) {
         return res.status(400).json({
-          error: "Signature, address, and timestamp are required",
+          error: "Signature and SIWE message are required",
         });
       }
 
+      const siwe = this.validateSiweMessage(message);
+      if (siwe.error) {
+        return res.status(401).json({ error: siwe.error });
+      }
+      const { address } = siwe;
+
       if (!this.isValidPlayer(address)) {
         return res.status(403).json({
           error: "Address is not registered as a player",
@@ -467,8 +1265,9 @@ class GameServerInstance {
       }
 
       try {
-        const message = this.generateSignMessage(parseInt(timestamp));
-        const isValid = await verifyMessage({
+        // Through the public client so smart-contract wallets (EIP-1271) and
+        // not-yet-deployed ones (ERC-6492) are verified on-chain
+        const isValid = await this.globalPublicClient.verifyMessage({
           address,
           message,
           signature,
@@ -478,6 +1277,13 @@ class GameServerInstance {
           return res.status(401).json({ error: "Invalid signature" });
         }
 
+        // The nonce is spent only by a valid signature
+        if (!this.siweNonces.delete(siwe.nonce)) {
+          return res.status(401).json({
+            error: "SIWE nonce is unknown or has already been used",
+          });
+        }
+
         const tokenPayload = {
           address: address.toLowerCase(),
           timestamp: Date.now(),
@@ -494,6 +1300,7 @@ class GameServerInstance {
           message: "Authentication successful",
         });
       } catch (error) {
+        log(`❌ Signature verification failed: ${error.message}`, this.gameId);
         res.status(500).json({ error: "Failed to verify signature" });
       }
     });
@@ -558,12 +1365,40 @@ class GameServerInstance {
         movesRemaining: moveResult.movesRemaining,
         minesRemaining: moveResult.minesRemaining,
         timeRemaining: timeRemaining,
-        validDirections: Object.keys(DIRECTIONS),
+        validDirections: Object.keys(this.ruleset.directions),
       };
 
       res.json(response);
     });
 
+    this.app.post("/scan", this.authenticateToken, (req, res) => {
+      const timeRemaining = this.getTimeRemaining();
+      if (timeRemaining <= 0) {
+        return res.status(400).json({ error: "Time expired! Game over." });
+      }
+
+      const scanResult = this.scanPlayer(req.playerAddress);
+      if (!scanResult.success) {
+        return res.status(400).json({ error: scanResult.error });
+      }
+
+      const localView = this.getLocalMapView(req.playerAddress);
+
+      res.json({
+        success: true,
+        player: req.playerAddress,
+        position: scanResult.position,
+        scanView: scanResult.scanView,
+        scanRadius: scanResult.scanRadius,
+        localView: localView.view,
+        score: scanResult.score,
+        movesRemaining: scanResult.movesRemaining,
+        minesRemaining: scanResult.minesRemaining,
+        scansUsed: scanResult.scansUsed,
+        timeRemaining: timeRemaining,
+      });
+    });
+
     this.app.post("/mine", this.authenticateToken, (req, res) => {
       const timeRemaining = this.getTimeRemaining();
       if (timeRemaining <= 0) {
@@ -607,14 +1442,76 @@ class GameServerInstance {
         serverTime: new Date().toISOString(),
         timer: {
           active: gameActive,
-          duration: GAME_TIMER_DURATION,
+          duration: this.ruleset.timerDuration,
           timeRemaining: timeRemaining,
-          timeElapsed: gameActive ? GAME_TIMER_DURATION - timeRemaining : 0,
+          timeElapsed: gameActive
+            ? this.ruleset.timerDuration - timeRemaining
+            : 0,
           startTime: this.gameStartTime,
         },
+        ruleset: this.ruleset,
+        rulesetHash: this.rulesetHash,
+      });
+    });
+
+    this.app.get("/transcript", async (req, res) => {
+      if (!this.isGameOver() && this.getTimeRemaining() > 0) {
+        return res.status(403).json({
+          error: "Transcript is available once the game has ended",
+        });
+      }
+
+      if (!this.transcript) {
+        return res.status(404).json({ error: "Transcript not found" });
+      }
+
+      await this.transcript.flush();
+
+      res.json({
+        success: true,
+        ...buildTranscriptResponse(
+          this.gameId,
+          this.gamemasterAccount.address,
+          this.transcript.genesisHash,
+          this.transcript.entries
+        ),
+      });
+    });
+
+    // Full board on a delay; only /players-level data is live
+    this.app.get("/spectate", (req, res) => {
+      if (!this.gameMap || !this.originalLand) {
+        return res.status(404).json({ error: "Game map not loaded" });
+      }
+
+      res.json({
+        success: true,
+        ...this.getSpectatorView(),
+        live: {
+          players: this.getSanitizedPlayerData(),
+          timeRemaining: this.getTimeRemaining(),
+        },
       });
     });
 
+    this.app.get("/replay", async (req, res) => {
+      if (!this.isGameOver() && this.getTimeRemaining() > 0) {
+        return res.status(403).json({
+          error: "Replay is available once the game has ended",
+        });
+      }
+
+      if (!this.gameMap || !this.originalLand) {
+        return res.status(404).json({ error: "Game map not loaded" });
+      }
+
+      if (this.transcript) {
+        await this.transcript.flush();
+      }
+
+      res.json({ success: true, ...this.getReplayData() });
+    });
+
     this.app.get("/players", (req, res) => {
       const playerData = this.getSanitizedPlayerData();
       const timeRemaining = this.getTimeRemaining();
@@ -630,31 +1527,54 @@ class GameServerInstance {
   }
 
   async startServer() {
+    const portError = getGamePortError(this.gameId);
+    if (portError) {
+      log(`❌ ${portError}`, this.gameId);
+      return { server: null, isHTTPS: false };
+    }
+
     try {
       log(`📂 Loading game map...`, this.gameId);
       this.gameMap = loadGameMap(this.gameId);
+      this.originalLand = this.gameMap.land.map((row) => [...row]);
       log(
         `✅ Game map loaded: ${this.gameMap.size}x${this.gameMap.size}`,
         this.gameId
       );
 
-      log(
-        `🔑 Loading reveal value and calculating random hash...`,
-        this.gameId
-      );
-      const revealValue = loadRevealValue(this.gameId);
-      this.revealSeed = await calculateRandomHash(
+      const liveState = loadLiveGameState(
         this.gameId,
-        revealValue,
-        this.globalPublicClient,
-        this.globalContractAddress,
-        FULL_CONTRACT_ABI
-      );
-      log(
-        `✅ Random hash calculated: ${this.revealSeed.substring(0, 10)}...`,
-        this.gameId
+        this.globalContractAddress
       );
 
+      if (liveState) {
+        this.revealSeed = liveState.randomHash;
+        log(
+          `♻️ Found live state - reusing random hash ${this.revealSeed.substring(
+            0,
+            10
+          )}...`,
+          this.gameId
+        );
+      } else {
+        log(
+          `🔑 Loading reveal value and calculating random hash...`,
+          this.gameId
+        );
+        const revealValue = loadRevealValue(this.gameId);
+        this.revealSeed = await calculateRandomHash(
+          this.gameId,
+          revealValue,
+          this.globalPublicClient,
+          this.globalContractAddress,
+          FULL_CONTRACT_ABI
+        );
+        log(
+          `✅ Random hash calculated: ${this.revealSeed.substring(0, 10)}...`,
+          this.gameId
+        );
+      }
+
       log(`👥 Loading players from contract...`, this.gameId);
       const playersLoaded = await this.loadPlayersFromContract();
       if (!playersLoaded) {
@@ -663,22 +1583,45 @@ class GameServerInstance {
       }
       log(`✅ Loaded ${this.players.length} players`, this.gameId);
 
-      this.gameStartTime = Date.now();
-      log(
-        `⏰ Game timer started - players have ${GAME_TIMER_DURATION} seconds`,
-        this.gameId
-      );
+      if (liveState) {
+        this.restoreLiveState(liveState);
+      } else {
+        resetTranscript(this.gameId);
+        removeGameReplay(this.gameId);
+        this.transcript = new TranscriptRecorder(
+          this.gameId,
+          this.gamemasterAccount,
+          this.revealSeed
+        );
+        log(`📜 Action transcript chained to the random hash`, this.gameId);
 
+        this.gameStartTime = Date.now();
+        log(
+          `⏰ Game timer started - players have ${this.ruleset.timerDuration} seconds`,
+          this.gameId
+        );
+        this.persistLiveState();
+      }
+
+      const timerRemainingMs = Math.max(
+        0,
+        this.ruleset.timerDuration * 1000 - (Date.now() - this.gameStartTime)
+      );
       this.gameTimerInterval = setTimeout(() => {
         log(
           `⏰ Timer expired! Auto-finishing game ${this.gameId}`,
           this.gameId
         );
         this.forceFinishGameOnTimer();
-      }, GAME_TIMER_DURATION * 1000);
+      }, timerRemainingMs);
 
-      const hasSSL =
-        fs.existsSync("server.key") && fs.existsSync("server.cert");
+      if (isGatewayMode()) {
+        this.initializeWebSocket(null);
+        const gateway = await mountGame(this.gameId, this.app, this.wsServer);
+        return { ...gateway, gateway: true };
+      }
+
+      const hasSSL = hasSslCertificates();
       log(`🔒 SSL available: ${hasSSL}`, this.gameId);
 
       return new Promise((resolve) => {
@@ -699,6 +1642,7 @@ class GameServerInstance {
                 this.gameId
               );
               log(`🌍 Access at: https://localhost:${this.port}`, this.gameId);
+              this.initializeWebSocket(this.httpsServer);
               resolve({ server: this.httpsServer, isHTTPS: true });
             });
             this.httpsServer.on("error", (error) => {
@@ -716,6 +1660,7 @@ class GameServerInstance {
                 this.gameId
               );
               log(`🌍 Access at: http://localhost:${this.port}`, this.gameId);
+              this.initializeWebSocket(this.httpServer);
               resolve({ server: this.httpServer, isHTTPS: false });
             });
             this.httpServer.on("error", (error) => {
@@ -731,6 +1676,7 @@ class GameServerInstance {
               this.gameId
             );
             log(`🌍 Access at: http://localhost:${this.port}`, this.gameId);
+            this.initializeWebSocket(this.httpServer);
             resolve({ server: this.httpServer, isHTTPS: false });
           });
           this.httpServer.on("error", (error) => {
@@ -747,6 +1693,22 @@ class GameServerInstance {
   }
 
   cleanup() {
+    unmountGame(this.gameId);
+
+    if (this.wsTickInterval) {
+      clearInterval(this.wsTickInterval);
+      this.wsTickInterval = null;
+    }
+    if (this.wsServer) {
+      for (const socket of this.socketClients.keys()) {
+        socket.close(1001, "Game server shutting down");
+      }
+      this.wsServer.close();
+      this.wsServer = null;
+    }
+    this.socketClients.clear();
+    this.lastLeaderboard.clear();
+
     if (this.httpServer) {
       this.httpServer.close();
       this.httpServer = null;
@@ -757,9 +1719,12 @@ class GameServerInstance {
     }
 
     this.gameMap = null;
+    this.originalLand = null;
     this.players = [];
     this.playerPositions.clear();
     this.playerStats.clear();
+    this.depletedTiles = [];
+    this.recentMines.clear();
     this.revealSeed = null;
     this.gameStartTime = null;
 
@@ -776,13 +1741,14 @@ class GameServerInstance {
 export async function initializeGameServer(
   gameId,
   globalPublicClient,
-  globalContractAddress
+  globalContractAddress,
+  ruleset
 ) {
   try {
     log(
-      `🔧 Initializing game server for game ${gameId} on port ${
-        8000 + parseInt(gameId)
-      }...`,
+      `🔧 Initializing game server for game ${gameId} at ${generateGameServerUrl(
+        gameId
+      )}...`,
       gameId
     );
 
@@ -790,7 +1756,8 @@ export async function initializeGameServer(
     const gameServerInstance = new GameServerInstance(
       gameId,
       globalPublicClient,
-      globalContractAddress
+      globalContractAddress,
+      ruleset
     );
 
     // Start the server
@@ -860,18 +1827,3 @@ export function getGameServerInfo(gameId) {
   }
   return null;
 }
-
-// Generate URL for a specific game server
-export function generateGameServerUrl(gameId, isHTTPS = false) {
-  const port = 8000 + parseInt(gameId);
-  const baseUrl = process.env.GAME_API_BASE || "http://localhost";
-
-  // If we have GAME_API_BASE set and it includes protocol, use it as-is
-  // Otherwise, use the isHTTPS parameter to determine protocol
-  if (baseUrl.startsWith("http://") || baseUrl.startsWith("https://")) {
-    return `${baseUrl}:${port}`;
-  } else {
-    const protocol = isHTTPS ? "https" : "http";
-    return `${protocol}://${baseUrl}:${port}`;
-  }
-}
@@ -13,8 +13,14 @@ import {
   storeCommitBlockHashForGame,
   payoutGame,
   revealGame,
+  refundGame,
 } from "./contractService.js";
 import { loadGameScores } from "./fileService.js";
+import {
+  getStoredGameState,
+  saveGameState,
+  markGameCompleted,
+} from "./stateStore.js";
 import {
   getCurrentPlayerData,
   forceFinishGameOnTimer,
@@ -98,8 +104,29 @@ export async function updateGameState(
       phase = GamePhase.COMMITTED;
     }
 
-    const currentState = gameStates.get(gameId) || {};
-
+    // Flags from a previous run are kept unless this run has already set them
+    const storedState = getStoredGameState(globalContractAddress, gameId) || {};
+    const currentState = {
+      payoutSkipped: storedState.payoutSkipped,
+      revealSkipped: storedState.revealSkipped,
+      expired: storedState.expired,
+      expiredReason: storedState.expiredReason,
+      expiredAt: storedState.expiredAt,
+      refunded: storedState.refunded,
+      refundSkipped: storedState.refundSkipped,
+      ...(gameStates.get(gameId) || {}),
+    };
+
+    // Expired games wait for their refund before they are complete
+    if (currentState.expired) {
+      phase =
+        currentState.refunded ||
+        currentState.refundSkipped ||
+        hasPaidOut ||
+        hasRevealed
+          ? GamePhase.COMPLETE
+          : GamePhase.EXPIRED;
+    }
     if (currentState.payoutSkipped && phase === GamePhase.GAME_FINISHED) {
       phase = GamePhase.PAYOUT_COMPLETE;
     }
@@ -125,6 +152,7 @@ export async function updateGameState(
       phase,
       lastUpdated: Date.now(),
     });
+    saveGameState(globalContractAddress, gameId, gameStates.get(gameId));
 
     return gameStates.get(gameId);
   } catch (error) {
@@ -145,6 +173,8 @@ export async function processGamePhase(
   payoutLastRetryTime,
   revealRetryCount,
   revealLastRetryTime,
+  refundRetryCount,
+  refundLastRetryTime,
   completedGamesCount,
   startGameServerFn,
   monitorGameProgressFn,
@@ -279,7 +309,7 @@ export async function processGamePhase(
         const serverStarted = await startGameServerFn(gameId);
         if (!serverStarted) {
           const updatedGameState = gameStates.get(gameId);
-          if (updatedGameState) {
+          if (updatedGameState && !updatedGameState.expired) {
             updatedGameState.phase = GamePhase.GAME_FINISHED;
             gameStates.set(gameId, updatedGameState);
             log(
@@ -435,9 +465,67 @@ export async function processGamePhase(
       }
       break;
 
+    case GamePhase.EXPIRED:
+      const refundRetries = refundRetryCount.get(gameId) || 0;
+      if (refundRetries > 0) {
+        const RETRY_BACKOFF_MS = Math.min(
+          5000 * Math.pow(2, refundRetries - 1),
+          300000
+        );
+        const timeUntilRetry = Math.max(
+          0,
+          RETRY_BACKOFF_MS -
+            (Date.now() - (refundLastRetryTime.get(gameId) || 0))
+        );
+
+        if (timeUntilRetry > 0) {
+          const retryLogKey = `refund_retry_${gameId}`;
+          if (shouldLogWaitingMessage(retryLogKey, lastWaitingLogs)) {
+            log(
+              `⏳ Refund retry ${refundRetries}/10 in ${Math.round(
+                timeUntilRetry / 1000
+              )}s`,
+              gameId
+            );
+          }
+          break;
+        }
+      }
+
+      log(
+        `🎯 Action needed: Refund expired game${
+          refundRetries > 0 ? ` (retry ${refundRetries + 1}/10)` : ""
+        }`,
+        gameId
+      );
+      const refundSuccess = await refundGame(
+        gameId,
+        globalPublicClient,
+        globalWalletClient,
+        globalContractAddress,
+        refundRetryCount,
+        refundLastRetryTime,
+        gameStates
+      );
+      if (refundSuccess) {
+        const refundedGameState = gameStates.get(gameId);
+        if (refundedGameState && refundedGameState.refundSkipped) {
+          log(`⚠️ Refund was skipped after repeated failures`, gameId);
+        } else {
+          log(`✅ Refund phase completed`, gameId);
+        }
+      } else if ((refundRetryCount.get(gameId) || 0) < 10) {
+        log(`❌ Refund phase failed (will retry)`, gameId);
+      }
+      break;
+
     case GamePhase.COMPLETE:
       log(`🎉 Game fully completed!`, gameId);
-      completedGamesCount++;
+      completedGamesCount = markGameCompleted(
+        globalContractAddress,
+        gameId,
+        gameState
+      );
       log(
         `🗑️ Removing game ${gameId} from active processing (${completedGamesCount} total completed)`,
         gameId
@@ -455,6 +543,8 @@ export async function processGamePhase(
       payoutLastRetryTime.delete(gameId);
       revealRetryCount.delete(gameId);
       revealLastRetryTime.delete(gameId);
+      refundRetryCount.delete(gameId);
+      refundLastRetryTime.delete(gameId);
 
       const keysToDelete = [];
       for (const [key, value] of lastWaitingLogs.entries()) {
@@ -462,6 +552,7 @@ export async function processGamePhase(
           key.startsWith("timer_warning_") ||
           key.startsWith("payout_retry_") ||
           key.startsWith("reveal_retry_") ||
+          key.startsWith("refund_retry_") ||
           key.startsWith("block_hash_waiting_") ||
           key.startsWith("block_hash_action_") ||
           key.startsWith("block_hash_start_")
@@ -0,0 +1,182 @@
+import express from "express";
+import fs from "fs";
+import https from "https";
+import { GAME_PORT_BASE, GAME_PORT_RANGE } from "./constants.js";
+import { log } from "./utils.js";
+import { createArchiveRouter } from "./archive.js";
+
+// Single-port gateway
+//
+// With GATEWAY_PORT set, game servers don't listen on GAME_PORT_BASE + gameId.
+// One HTTP(S) listener serves every game under /games/:gameId/..., mounting
+// each game's Express app while its server runs. WebSocket upgrades to
+// /games/:gameId/ws are handed to that game's WebSocket server. Once a game is
+// unmounted its saved replay is served from the archive.
+
+const mountedGames = new Map(); // gameId -> { app, wsServer }
+let gatewayStart = null;
+
+export function isGatewayMode() {
+  return Boolean(process.env.GATEWAY_PORT);
+}
+
+export function getGatewayPort() {
+  return parseInt(process.env.GATEWAY_PORT);
+}
+
+export function hasSslCertificates() {
+  return fs.existsSync("server.key") && fs.existsSync("server.cert");
+}
+
+// Why a game can't get a port of its own, or null when it can. Checked before
+// the commit so no unusable URL is stored on-chain.
+export function getGamePortError(gameId) {
+  if (isGatewayMode()) {
+    return null;
+  }
+  if (GAME_PORT_RANGE !== null && parseInt(gameId) >= GAME_PORT_RANGE) {
+    return `Game ${gameId} is outside this chain's ${GAME_PORT_RANGE} game ports - raise gamePortRange or use the gateway`;
+  }
+  if (GAME_PORT_BASE + parseInt(gameId) > 65535) {
+    return `Game ${gameId} would need port ${
+      GAME_PORT_BASE + parseInt(gameId)
+    } - lower GAME_PORT_BASE or use the gateway`;
+  }
+  return null;
+}
+
+// Public URL of a game server, as stored in the contract
+export function generateGameServerUrl(gameId, isHTTPS = false) {
+  if (isGatewayMode() && process.env.GATEWAY_PUBLIC_URL) {
+    return `${process.env.GATEWAY_PUBLIC_URL.replace(
+      /\/$/,
+      ""
+    )}/games/${gameId}`;
+  }
+
+  const port = isGatewayMode()
+    ? getGatewayPort()
+    : GAME_PORT_BASE + parseInt(gameId);
+  const path = isGatewayMode() ? `/games/${gameId}` : "";
+  const baseUrl = process.env.GAME_API_BASE || "http://localhost";
+
+  // If we have GAME_API_BASE set and it includes protocol, use it as-is
+  // Otherwise, use the isHTTPS parameter to determine protocol
+  if (baseUrl.startsWith("http://") || baseUrl.startsWith("https://")) {
+    return `${baseUrl}:${port}${path}`;
+  } else {
+    const protocol = isHTTPS ? "https" : "http";
+    return `${protocol}://${baseUrl}:${port}${path}`;
+  }
+}
+
+function createGatewayApp() {
+  const app = express();
+
+  app.get("/", (req, res) => {
+    res.json({
+      success: true,
+      message: "Game Server Gateway",
+      games: Array.from(mountedGames.keys()).map((gameId) => ({
+        gameId,
+        path: `/games/${gameId}`,
+      })),
+      timestamp: new Date().toISOString(),
+    });
+  });
+
+  // Express strips /games/:gameId, so each game app sees its usual paths
+  const archive = createArchiveRouter();
+  app.use("/games/:gameId", (req, res, next) => {
+    const mounted = mountedGames.get(req.params.gameId);
+    if (!mounted) {
+      return archive(req, res, () =>
+        res.status(404).json({ error: "Game server not running" })
+      );
+    }
+    mounted.app(req, res, next);
+  });
+
+  app.use((req, res) => {
+    res.status(404).json({ error: "Not found" });
+  });
+
+  return app;
+}
+
+function handleUpgrade(req, socket, head) {
+  const match = req.url.match(/^\/games\/([^/?]+)\/ws(?:\?.*)?$/);
+  const mounted = match && mountedGames.get(match[1]);
+  if (!mounted || !mounted.wsServer) {
+    socket.write("HTTP/1.1 404 Not Found\r\n\r\n");
+    socket.destroy();
+    return;
+  }
+
+  mounted.wsServer.handleUpgrade(req, socket, head, (ws) => {
+    mounted.wsServer.emit("connection", ws, req);
+  });
+}
+
+function listen() {
+  const port = getGatewayPort();
+  const app = createGatewayApp();
+  const isHTTPS = hasSslCertificates();
+
+  return new Promise((resolve) => {
+    const server = isHTTPS
+      ? https.createServer(
+          {
+            key: fs.readFileSync("server.key"),
+            cert: fs.readFileSync("server.cert"),
+          },
+          app
+        )
+      : app.listen(port, "0.0.0.0");
+
+    server.on("upgrade", handleUpgrade);
+    server.on("listening", () => {
+      log(
+        `🚪 Game gateway running on ${
+          isHTTPS ? "https" : "http"
+        }://0.0.0.0:${port}/games/:gameId`
+      );
+      resolve({ server, isHTTPS });
+    });
+    server.on("error", (error) => {
+      log(`❌ Gateway server error: ${error.message}`);
+      gatewayStart = null;
+      resolve({ server: null, isHTTPS: false });
+    });
+
+    if (isHTTPS) {
+      server.listen(port, "0.0.0.0");
+    }
+  });
+}
+
+// Starts the shared listener once; the manager calls it at startup so
+// archived games are served before any game is mounted
+export function startGateway() {
+  if (!gatewayStart) {
+    gatewayStart = listen();
+  }
+  return gatewayStart;
+}
+
+export async function mountGame(gameId, app, wsServer) {
+  const gateway = await startGateway();
+  if (!gateway.server) {
+    return gateway;
+  }
+
+  mountedGames.set(gameId, { app, wsServer });
+  log(`🚪 Mounted at /games/${gameId} on the gateway`, gameId);
+  return gateway;
+}
+
+export function unmountGame(gameId) {
+  if (mountedGames.delete(gameId)) {
+    log(`🚪 Unmounted /games/${gameId} from the gateway`, gameId);
+  }
+}
@@ -0,0 +1,320 @@
+import fs from "fs";
+import { formatEther, keccak256, toBytes } from "viem";
+import { FULL_CONTRACT_ABI, SAVED_DIR } from "./constants.js";
+import { getMapRuleset, hashRuleset } from "./rulesets.js";
+
+// Game inspector behind yarn print
+//
+// Puts a game's on-chain state next to its saved reveal, map and scores files
+// and lists every place where they disagree.
+
+const ZERO_HASH = `0x${"0".repeat(64)}`;
+
+async function readContract(
+  publicClient,
+  contractAddress,
+  functionName,
+  gameId
+) {
+  return publicClient.readContract({
+    address: contractAddress,
+    abi: FULL_CONTRACT_ABI,
+    functionName,
+    args: [BigInt(gameId)],
+  });
+}
+
+// On-chain state with amounts as strings so JSON output keeps full precision
+export async function readGameSummary(publicClient, contractAddress, gameId) {
+  const [
+    [gamemaster, creator, stakeAmount, open, playerCount, hasOpened, hasClosed],
+    [
+      committedHash,
+      commitBlockNumber,
+      revealValue,
+      randomHash,
+      hasCommitted,
+      hasRevealed,
+      hasStoredBlockHash,
+      mapSize,
+    ],
+    [winners, payoutAmount, hasPaidOut],
+    players,
+    gameUrl,
+  ] = await Promise.all([
+    readContract(publicClient, contractAddress, "getGameInfo", gameId),
+    readContract(publicClient, contractAddress, "getCommitRevealState", gameId),
+    readContract(publicClient, contractAddress, "getPayoutInfo", gameId),
+    readContract(publicClient, contractAddress, "getPlayers", gameId),
+    readContract(publicClient, contractAddress, "getGameUrl", gameId),
+  ]);
+
+  const commitBlockHash = hasStoredBlockHash
+    ? await readContract(
+        publicClient,
+        contractAddress,
+        "getCommitBlockHash",
+        gameId
+      )
+    : null;
+
+  return {
+    gameId,
+    gamemaster,
+    creator,
+    stakeAmount: stakeAmount.toString(),
+    open,
+    playerCount: Number(playerCount),
+    players,
+    gameUrl,
+    hasOpened,
+    hasClosed,
+    committedHash,
+    commitBlockNumber: commitBlockNumber.toString(),
+    commitBlockHash,
+    revealValue,
+    randomHash,
+    hasCommitted,
+    hasRevealed,
+    hasStoredBlockHash,
+    mapSize: Number(mapSize),
+    winners,
+    payoutAmount: payoutAmount.toString(),
+    hasPaidOut,
+  };
+}
+
+// A missing file is null; an unreadable one is reported as an issue
+function readSavedFile(filePath, parse, issues) {
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+  try {
+    return parse(fs.readFileSync(filePath, "utf8"));
+  } catch (error) {
+    issues.push(`Could not read ${filePath}: ${error.message}`);
+    return null;
+  }
+}
+
+export function readLocalFiles(gameId, issues = []) {
+  return {
+    reveal: readSavedFile(
+      `${SAVED_DIR}/reveal_${gameId}.txt`,
+      (contents) => contents.trim(),
+      issues
+    ),
+    map: readSavedFile(`${SAVED_DIR}/map_${gameId}.txt`, JSON.parse, issues),
+    scores: readSavedFile(
+      `${SAVED_DIR}/scores_${gameId}.txt`,
+      JSON.parse,
+      issues
+    ),
+  };
+}
+
+function sameAddresses(a, b) {
+  const normalize = (addresses) =>
+    addresses.map((address) => address.toLowerCase()).sort();
+  return JSON.stringify(normalize(a)) === JSON.stringify(normalize(b));
+}
+
+function findIssues(game, local, issues) {
+  const { reveal, map, scores } = local;
+
+  if (reveal) {
+    if (!/^0x[0-9a-fA-F]{64}$/.test(reveal)) {
+      issues.push(`Saved reveal value is not 32 bytes of hex`);
+    } else {
+      if (
+        game.hasCommitted &&
+        keccak256(toBytes(reveal)) !== game.committedHash
+      ) {
+        issues.push(`Saved reveal value does not hash to committedHash`);
+      }
+      if (
+        game.hasRevealed &&
+        game.revealValue.toLowerCase() !== reveal.toLowerCase()
+      ) {
+        issues.push(`Saved reveal value differs from the on-chain reveal`);
+      }
+    }
+  } else if (game.hasCommitted && !game.hasRevealed) {
+    issues.push(`Committed but saved/reveal_${game.gameId}.txt is missing`);
+  }
+
+  if (map) {
+    if (game.mapSize > 0 && map.size !== game.mapSize) {
+      issues.push(
+        `Saved map is ${map.size}x${map.size} but the contract map size is ${game.mapSize}`
+      );
+    }
+    const metadata = map.metadata || {};
+    if (
+      reveal &&
+      metadata.revealValue &&
+      metadata.revealValue.toLowerCase() !== reveal.toLowerCase()
+    ) {
+      issues.push(`Map was generated from a different reveal value`);
+    }
+    if (
+      game.hasRevealed &&
+      game.randomHash !== ZERO_HASH &&
+      metadata.randomHash !== game.randomHash
+    ) {
+      issues.push(`Map randomHash differs from the on-chain randomHash`);
+    }
+    if (metadata.rulesetHash) {
+      try {
+        if (hashRuleset(getMapRuleset(map)) !== metadata.rulesetHash) {
+          issues.push(`Map ruleset does not match its rulesetHash`);
+        }
+      } catch (error) {
+        issues.push(`Map ruleset is invalid: ${error.message}`);
+      }
+    }
+  } else if (game.hasClosed && game.playerCount > 0) {
+    issues.push(`Game is closed but saved/map_${game.gameId}.txt is missing`);
+  }
+
+  if (scores) {
+    const onChainPlayers = new Set(
+      game.players.map((address) => address.toLowerCase())
+    );
+    const unknown = (scores.players || []).filter(
+      (player) => !onChainPlayers.has(player.address.toLowerCase())
+    );
+    if (unknown.length > 0) {
+      issues.push(
+        `Scores include ${unknown.length} address(es) not in getPlayers`
+      );
+    }
+    if (
+      game.hasPaidOut &&
+      scores.payout &&
+      !sameAddresses(
+        scores.payout.winners.map((winner) => winner.address),
+        game.winners
+      )
+    ) {
+      issues.push(`On-chain winners differ from the saved payout record`);
+    }
+  } else if (game.hasPaidOut) {
+    issues.push(`Paid out but saved/scores_${game.gameId}.txt is missing`);
+  }
+
+  if (game.hasStoredBlockHash && !game.gameUrl) {
+    issues.push(`Block hash is stored but the game has no URL`);
+  }
+}
+
+export async function inspectGame(publicClient, contractAddress, gameId) {
+  const issues = [];
+  const game = await readGameSummary(publicClient, contractAddress, gameId);
+  const local = readLocalFiles(gameId, issues);
+  findIssues(game, local, issues);
+  return { gameId, game, local, issues };
+}
+
+// One character per tile, with the starting position shown as X
+export function renderMap(map) {
+  const { x: startX, y: startY } = map.startingPosition || {};
+  return map.land.map((row, y) =>
+    row
+      .map((tile, x) =>
+        x === startX && y === startY ? "X" : tile === 0 ? "." : String(tile)
+      )
+      .join(" ")
+  );
+}
+
+function flag(value) {
+  return value ? "✅" : "❌";
+}
+
+export function printGameSummary(game) {
+  console.log(`\n📋 Game ${game.gameId}`);
+  console.log(`  Gamemaster: ${game.gamemaster}`);
+  console.log(`  Creator:    ${game.creator}`);
+  console.log(
+    `  Stake:      ${formatEther(BigInt(game.stakeAmount))} ETH, ${
+      game.playerCount
+    } players`
+  );
+  console.log(
+    `  Opened ${flag(game.hasOpened)}  Closed ${flag(
+      game.hasClosed
+    )}  Committed ${flag(game.hasCommitted)}  Block hash ${flag(
+      game.hasStoredBlockHash
+    )}  Paid out ${flag(game.hasPaidOut)}  Revealed ${flag(game.hasRevealed)}`
+  );
+  if (game.mapSize > 0) {
+    console.log(`  Map size:   ${game.mapSize}x${game.mapSize}`);
+  }
+  if (game.hasPaidOut) {
+    console.log(
+      `  Winners:    ${game.winners.join(", ") || "none"} (${formatEther(
+        BigInt(game.payoutAmount)
+      )} ETH)`
+    );
+  }
+}
+
+export function printInspection(report) {
+  const { game, local, issues } = report;
+  printGameSummary(game);
+
+  console.log(`  Game URL:   ${game.gameUrl || "-"}`);
+  if (game.hasCommitted) {
+    console.log(`  Committed:  ${game.committedHash}`);
+    console.log(
+      `  Block:      ${game.commitBlockNumber}${
+        game.commitBlockHash ? ` (${game.commitBlockHash})` : ""
+      }`
+    );
+  }
+  if (game.hasRevealed) {
+    console.log(`  Reveal:     ${game.revealValue}`);
+    console.log(`  Random:     ${game.randomHash}`);
+  }
+  if (game.players.length > 0) {
+    console.log(`\n👥 Players`);
+    game.players.forEach((address) => console.log(`  ${address}`));
+  }
+
+  console.log(`\n📁 Saved files`);
+  console.log(`  reveal_${game.gameId}.txt  ${local.reveal || "missing"}`);
+  console.log(
+    `  map_${game.gameId}.txt     ${
+      local.map
+        ? `${local.map.size}x${local.map.size}, ruleset "${
+            (local.map.metadata?.ruleset || {}).name || "standard"
+          }"`
+        : "missing"
+    }`
+  );
+  console.log(
+    `  scores_${game.gameId}.txt  ${
+      local.scores ? `${local.scores.count} players` : "missing"
+    }`
+  );
+
+  if (local.scores) {
+    console.log(`\n🏆 Scores`);
+    [...local.scores.players]
+      .sort((a, b) => b.score - a.score)
+      .forEach((player) => console.log(`  ${player.address}  ${player.score}`));
+  }
+
+  if (local.map) {
+    console.log(`\n🗺️ Map (. depleted, 1-3 tile value, X start)`);
+    renderMap(local.map).forEach((line) => console.log(`  ${line}`));
+  }
+
+  if (issues.length > 0) {
+    console.log(`\n⚠️ ${issues.length} issue(s)`);
+    issues.forEach((issue) => console.log(`  - ${issue}`));
+  } else {
+    console.log(`\n✅ No inconsistencies found`);
+  }
+}
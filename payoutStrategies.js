@@ -0,0 +1,208 @@
+import fs from "fs";
+import { SAVED_DIR } from "./constants.js";
+import { log } from "./utils.js";
+
+// Payout strategies decide who is paid from a game's saved scores
+//
+// A strategy receives the eligible players and its options and returns ranked
+// winners with weights in percent. The contract's payout() only takes a winners
+// array and splits the pot evenly, so configs that would weight winners
+// unequally (podium with different splits) are rejected.
+
+export const DEFAULT_PAYOUT_STRATEGY = "top-scorers";
+const DEFAULT_PODIUM_SPLITS = [50, 50];
+
+// Second sort key applied between players with the same score
+const TIE_BREAKS = {
+  none: () => 0,
+  "fewest-moves": (a, b) => a.movesUsed - b.movesUsed,
+  // Players who never scored, and scores saved before scoreReachedAt existed,
+  // have no timestamp; they rank after timed players and tie with each other
+  earliest: (a, b) => {
+    const aReachedAt = a.scoreReachedAt ?? null;
+    const bReachedAt = b.scoreReachedAt ?? null;
+    if (aReachedAt === null && bReachedAt === null) return 0;
+    if (aReachedAt === null) return 1;
+    if (bReachedAt === null) return -1;
+    return aReachedAt - bReachedAt;
+  },
+};
+
+// Group players into ranks, best first; players in one group are fully tied
+function rankPlayers(players, tieBreak) {
+  const compareTieBreak = TIE_BREAKS[tieBreak] || TIE_BREAKS.none;
+  const sorted = [...players].sort(
+    (a, b) => b.score - a.score || compareTieBreak(a, b)
+  );
+
+  const groups = [];
+  sorted.forEach((player) => {
+    const lastGroup = groups[groups.length - 1];
+    if (
+      lastGroup &&
+      lastGroup[0].score === player.score &&
+      compareTieBreak(lastGroup[0], player) === 0
+    ) {
+      lastGroup.push(player);
+    } else {
+      groups.push([player]);
+    }
+  });
+  return groups;
+}
+
+// Everyone in the best rank splits the pot evenly
+function topScorers(players, options) {
+  const [firstGroup = []] = rankPlayers(players, options.tieBreak);
+  return firstGroup.map((player) => ({
+    address: player.address,
+    score: player.score,
+    weight: 100 / firstGroup.length,
+  }));
+}
+
+// Everyone placed in the first splits.length places splits the pot evenly; a
+// tie across the last paid place pays every tied player
+function podium(players, options) {
+  const places = (options.splits || DEFAULT_PODIUM_SPLITS).length;
+  const placed = [];
+
+  for (const group of rankPlayers(players, options.tieBreak)) {
+    if (placed.length >= places) break;
+    placed.push(...group);
+  }
+
+  return placed.map((player) => ({
+    address: player.address,
+    score: player.score,
+    weight: 100 / placed.length,
+  }));
+}
+
+export const PAYOUT_STRATEGIES = {
+  "top-scorers": topScorers,
+  podium,
+};
+
+// Throws on unknown strategies or tie-breaks, and on weights the contract can't pay
+export function validatePayoutConfig(config) {
+  const strategyName = config.strategy || DEFAULT_PAYOUT_STRATEGY;
+  if (!PAYOUT_STRATEGIES[strategyName]) {
+    throw new Error(
+      `Unknown payout strategy "${strategyName}" (available: ${Object.keys(
+        PAYOUT_STRATEGIES
+      ).join(", ")})`
+    );
+  }
+
+  const tieBreak = config.tieBreak || "none";
+  if (!TIE_BREAKS[tieBreak]) {
+    throw new Error(
+      `Unknown tie-break "${tieBreak}" (available: ${Object.keys(
+        TIE_BREAKS
+      ).join(", ")})`
+    );
+  }
+
+  if (config.splits !== undefined) {
+    if (
+      !Array.isArray(config.splits) ||
+      config.splits.length === 0 ||
+      !config.splits.every((split) => Number.isFinite(split) && split > 0)
+    ) {
+      throw new Error(`Payout splits must be positive numbers`);
+    }
+    if (config.splits.some((split) => split !== config.splits[0])) {
+      throw new Error(
+        `Payout splits ${config.splits.join(
+          ","
+        )} are unequal, but the contract splits the pot evenly between winners`
+      );
+    }
+  }
+}
+
+function loadEnvPayoutConfig() {
+  return {
+    strategy: process.env.PAYOUT_STRATEGY || DEFAULT_PAYOUT_STRATEGY,
+    minScore: process.env.PAYOUT_MIN_SCORE
+      ? parseInt(process.env.PAYOUT_MIN_SCORE)
+      : 0,
+    tieBreak: process.env.PAYOUT_TIEBREAK || "none",
+    splits: process.env.PAYOUT_SPLITS
+      ? process.env.PAYOUT_SPLITS.split(",").map((split) => Number(split))
+      : undefined,
+  };
+}
+
+// Per-game config in saved/payout_<gameId>.txt overrides the environment
+export function loadPayoutConfig(gameId) {
+  const filePath = `${SAVED_DIR}/payout_${gameId}.txt`;
+  if (fs.existsSync(filePath)) {
+    try {
+      const config = JSON.parse(fs.readFileSync(filePath, "utf8"));
+      validatePayoutConfig(config);
+      log(`Loaded payout config from ${filePath}`, gameId);
+      return config;
+    } catch (error) {
+      log(`⚠️ Ignoring invalid ${filePath}: ${error.message}`, gameId);
+    }
+  }
+
+  return loadEnvPayoutConfig();
+}
+
+// Checked at startup so a bad .env fails before any game needs paying
+export function validateEnvPayoutConfig() {
+  validatePayoutConfig(loadEnvPayoutConfig());
+}
+
+// Scores saved before movesUsed was recorded only have movesRemaining, which
+// counts down from the game's own maxMoves
+function withMovesUsed(player, ruleset) {
+  return {
+    ...player,
+    movesUsed: player.movesUsed ?? ruleset.maxMoves - player.movesRemaining,
+  };
+}
+
+export function computePayout(playerScores, config, ruleset) {
+  validatePayoutConfig(config);
+  const strategyName = config.strategy || DEFAULT_PAYOUT_STRATEGY;
+  const strategy = PAYOUT_STRATEGIES[strategyName];
+  const tieBreak = config.tieBreak || "none";
+
+  const minScore = config.minScore || 0;
+  const eligible = playerScores
+    .filter((player) => player.score >= minScore)
+    .map((player) => withMovesUsed(player, ruleset));
+  let winners = strategy(eligible, { ...config, tieBreak });
+
+  // Stakes would stay locked in the contract without winners, so when nobody
+  // reaches minScore every player gets an even share back
+  const fallback = winners.length === 0 && playerScores.length > 0;
+  if (fallback) {
+    winners = playerScores.map((player) => ({
+      address: player.address,
+      score: player.score,
+      weight: 100 / playerScores.length,
+    }));
+  }
+  if (winners.some((winner) => winner.weight !== winners[0].weight)) {
+    throw new Error(
+      `Payout strategy "${strategyName}" weighted winners unequally, but the contract splits the pot evenly`
+    );
+  }
+
+  return {
+    strategy: strategyName,
+    options: {
+      minScore,
+      tieBreak,
+      ...(config.splits ? { splits: config.splits } : {}),
+    },
+    eligibleCount: eligible.length,
+    ...(fallback ? { fallback: "all-players" } : {}),
+    winners,
+  };
+}
@@ -1,7 +1,152 @@
-// Simple ETH price fetcher for account display
+import { formatUnits, parseEther } from "viem";
+import { USDC_ADDRESS, WETH_ADDRESS, USDC_DECIMALS, quoteAll } from "./dex.js";
+
+// ETH price in USDC from on-chain sources
+//
+// Each DEX router quotes a small WETH -> USDC swap (so the price includes the
+// pool fee), and CHAINLINK_ETH_USD_FEED optionally adds a Chainlink feed. The
+// median is used, and an error is thrown when the highest and lowest prices are
+// more than PRICE_MAX_DEVIATION_PERCENT of it apart.
+
+const QUOTE_AMOUNT = parseEther("0.1");
+const PRICE_CACHE_TTL_MS = parseInt(process.env.PRICE_CACHE_TTL_MS || "60000");
+const PRICE_MAX_DEVIATION_PERCENT = parseFloat(
+  process.env.PRICE_MAX_DEVIATION_PERCENT || "2"
+);
+// Chainlink answers older than this are ignored
+const CHAINLINK_MAX_AGE_SECONDS = parseInt(
+  process.env.CHAINLINK_MAX_AGE_SECONDS || "3600"
+);
+
+const CHAINLINK_FEED_ABI = [
+  {
+    inputs: [],
+    name: "decimals",
+    outputs: [{ name: "", type: "uint8" }],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "latestRoundData",
+    outputs: [
+      { name: "roundId", type: "uint80" },
+      { name: "answer", type: "int256" },
+      { name: "startedAt", type: "uint256" },
+      { name: "updatedAt", type: "uint256" },
+      { name: "answeredInRound", type: "uint80" },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+];
+
+const priceCache = new Map(); // publicClient -> { report, fetchedAt }
+
+async function readDexPrices(publicClient) {
+  const quotes = await quoteAll(
+    publicClient,
+    WETH_ADDRESS,
+    USDC_ADDRESS,
+    QUOTE_AMOUNT
+  );
+  return quotes.map((quote) =>
+    quote.error
+      ? { source: quote.router.name, error: quote.error }
+      : {
+          source: quote.router.name,
+          price:
+            parseFloat(formatUnits(quote.amountOut, USDC_DECIMALS)) /
+            parseFloat(formatUnits(QUOTE_AMOUNT, 18)),
+        }
+  );
+}
+
+async function readChainlinkPrice(publicClient, feedAddress) {
+  try {
+    const [decimals, [, answer, , updatedAt]] = await Promise.all([
+      publicClient.readContract({
+        address: feedAddress,
+        abi: CHAINLINK_FEED_ABI,
+        functionName: "decimals",
+      }),
+      publicClient.readContract({
+        address: feedAddress,
+        abi: CHAINLINK_FEED_ABI,
+        functionName: "latestRoundData",
+      }),
+    ]);
+
+    const age = Math.floor(Date.now() / 1000) - Number(updatedAt);
+    if (age > CHAINLINK_MAX_AGE_SECONDS) {
+      return { source: "Chainlink", error: `answer is ${age}s old` };
+    }
+    if (answer <= 0n) {
+      return { source: "Chainlink", error: "non-positive answer" };
+    }
+    return {
+      source: "Chainlink",
+      price: parseFloat(formatUnits(answer, decimals)),
+    };
+  } catch (error) {
+    return { source: "Chainlink", error: error.shortMessage || error.message };
+  }
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0
+    ? (sorted[middle - 1] + sorted[middle]) / 2
+    : sorted[middle];
+}
+
+// { price, sources: [{ source, price } | { source, error }] }; throws when no
+// source answers or the sources disagree
+export async function getEthPriceReport(publicClient) {
+  const cached = priceCache.get(publicClient);
+  if (cached && Date.now() - cached.fetchedAt < PRICE_CACHE_TTL_MS) {
+    return cached.report;
+  }
+
+  const feedAddress = process.env.CHAINLINK_ETH_USD_FEED;
+  const sources = [
+    ...(await readDexPrices(publicClient)),
+    ...(feedAddress
+      ? [await readChainlinkPrice(publicClient, feedAddress)]
+      : []),
+  ];
+
+  const prices = sources
+    .filter((source) => source.error === undefined)
+    .map((source) => source.price);
+  if (prices.length === 0) {
+    throw new Error(
+      `No ETH price source answered: ${sources
+        .map((source) => `${source.source}: ${source.error}`)
+        .join("; ")}`
+    );
+  }
+
+  const price = median(prices);
+  const spreadPercent =
+    ((Math.max(...prices) - Math.min(...prices)) / price) * 100;
+  if (spreadPercent > PRICE_MAX_DEVIATION_PERCENT) {
+    throw new Error(
+      `ETH price sources disagree by ${spreadPercent.toFixed(
+        2
+      )}% (limit ${PRICE_MAX_DEVIATION_PERCENT}%): ${sources
+        .filter((source) => source.error === undefined)
+        .map((source) => `${source.source} $${source.price.toFixed(2)}`)
+        .join(", ")}`
+    );
+  }
+
+  const report = { price, sources };
+  priceCache.set(publicClient, { report, fetchedAt: Date.now() });
+  return report;
+}
+
 export async function getEthPriceInUsdc(publicClient) {
-  // For simplicity, just return a reasonable ETH price
-  // In a production environment, you could fetch from an API like CoinGecko
-  // or keep one simple DEX call, but for now a static price is fine
-  return 3000; // $3000 USD per ETH (reasonable estimate)
+  return (await getEthPriceReport(publicClient)).price;
 }
@@ -0,0 +1,199 @@
+import fs from "fs";
+import { keccak256, toBytes } from "viem";
+import {
+  SAVED_DIR,
+  MAX_MOVES,
+  MAX_MINES,
+  TILE_POINTS,
+  DIRECTIONS,
+  MAP_MULTIPLIER,
+  GAME_TIMER_DURATION,
+} from "./constants.js";
+import { log } from "./utils.js";
+
+// Rulesets fix how long a game runs and what each player may do in it
+//
+// A game's ruleset is chosen when its map is generated and stored in the map
+// metadata, so a resumed game keeps its rules and players can check them
+// against the hash served by /status.
+
+export const DEFAULT_RULESET = "standard";
+
+// Who is credited when a second player mines a tile within mineTickMs of the first:
+// "first" rejects the second mine, "both" credits both players with the tile
+export const SAME_TICK_MINING_RULES = ["first", "both"];
+
+const STANDARD_RULES = {
+  timerDuration: GAME_TIMER_DURATION,
+  maxMoves: MAX_MOVES,
+  maxMines: MAX_MINES,
+  mapMultiplier: MAP_MULTIPLIER,
+  viewRadius: 1, // 3x3 local view
+  scanRadius: 0, // POST /scan is opt-in; 2 gives a 5x5 scan
+  tilePoints: TILE_POINTS,
+  directions: DIRECTIONS,
+  showPlayers: false,
+  blockOccupiedTiles: false,
+  sameTickMining: "first",
+  mineTickMs: 1000,
+};
+
+export const RULESET_PRESETS = {
+  standard: STANDARD_RULES,
+  blitz: { ...STANDARD_RULES, timerDuration: 30, maxMoves: 6 },
+  marathon: {
+    ...STANDARD_RULES,
+    timerDuration: 300,
+    maxMoves: 30,
+    maxMines: 8,
+  },
+  scout: { ...STANDARD_RULES, scanRadius: 2 },
+};
+
+function isNonNegativeInteger(value) {
+  return Number.isInteger(value) && value >= 0;
+}
+
+function validateRuleset(ruleset) {
+  if (!Number.isInteger(ruleset.timerDuration) || ruleset.timerDuration <= 0) {
+    throw new Error("timerDuration must be a positive number of seconds");
+  }
+  if (!isNonNegativeInteger(ruleset.maxMoves)) {
+    throw new Error("maxMoves must be a non-negative integer");
+  }
+  if (!isNonNegativeInteger(ruleset.maxMines)) {
+    throw new Error("maxMines must be a non-negative integer");
+  }
+  if (!Number.isInteger(ruleset.mapMultiplier) || ruleset.mapMultiplier <= 0) {
+    throw new Error("mapMultiplier must be a positive integer");
+  }
+  if (!Number.isInteger(ruleset.viewRadius) || ruleset.viewRadius <= 0) {
+    throw new Error("viewRadius must be a positive integer");
+  }
+  if (!isNonNegativeInteger(ruleset.scanRadius)) {
+    throw new Error("scanRadius must be a non-negative integer");
+  }
+  for (const [tile, points] of Object.entries(ruleset.tilePoints)) {
+    if (!isNonNegativeInteger(points)) {
+      throw new Error(`tilePoints.${tile} must be a non-negative integer`);
+    }
+  }
+  if (typeof ruleset.showPlayers !== "boolean") {
+    throw new Error("showPlayers must be true or false");
+  }
+  if (typeof ruleset.blockOccupiedTiles !== "boolean") {
+    throw new Error("blockOccupiedTiles must be true or false");
+  }
+  if (!SAME_TICK_MINING_RULES.includes(ruleset.sameTickMining)) {
+    throw new Error(
+      `sameTickMining must be one of ${SAME_TICK_MINING_RULES.join(", ")}`
+    );
+  }
+  if (!isNonNegativeInteger(ruleset.mineTickMs)) {
+    throw new Error("mineTickMs must be a non-negative number of milliseconds");
+  }
+  const directions = Object.entries(ruleset.directions);
+  if (directions.length === 0) {
+    throw new Error("directions must not be empty");
+  }
+  for (const [name, vector] of directions) {
+    if (!vector || !Number.isInteger(vector.x) || !Number.isInteger(vector.y)) {
+      throw new Error(`directions.${name} must have integer x and y`);
+    }
+  }
+}
+
+// Build a ruleset from { preset, ...overrides }; throws on unknown presets or bad values
+export function resolveRuleset(config = {}) {
+  const presetName = config.preset || DEFAULT_RULESET;
+  const preset = RULESET_PRESETS[presetName];
+  if (!preset) {
+    throw new Error(
+      `Unknown ruleset preset "${presetName}" (available: ${Object.keys(
+        RULESET_PRESETS
+      ).join(", ")})`
+    );
+  }
+
+  const { preset: _preset, name, ...overrides } = config;
+  const ruleset = {
+    name:
+      name ||
+      (Object.keys(overrides).length > 0 ? `${presetName}-custom` : presetName),
+    ...preset,
+    ...overrides,
+    tilePoints: { ...preset.tilePoints, ...overrides.tilePoints },
+    directions: overrides.directions || preset.directions,
+  };
+
+  validateRuleset(ruleset);
+  return ruleset;
+}
+
+// Hash covers the rule values in a fixed order, not the display name
+export function hashRuleset(ruleset) {
+  const sortedEntries = (object) =>
+    Object.keys(object)
+      .sort()
+      .map((key) => [key, object[key]]);
+
+  const payload = {
+    timerDuration: ruleset.timerDuration,
+    maxMoves: ruleset.maxMoves,
+    maxMines: ruleset.maxMines,
+    mapMultiplier: ruleset.mapMultiplier,
+    viewRadius: ruleset.viewRadius,
+    scanRadius: ruleset.scanRadius,
+    tilePoints: sortedEntries(ruleset.tilePoints),
+    directions: sortedEntries(ruleset.directions).map(([name, vector]) => [
+      name,
+      vector.x,
+      vector.y,
+    ]),
+    showPlayers: ruleset.showPlayers,
+    blockOccupiedTiles: ruleset.blockOccupiedTiles,
+    sameTickMining: ruleset.sameTickMining,
+    mineTickMs: ruleset.mineTickMs,
+  };
+  return keccak256(toBytes(JSON.stringify(payload)));
+}
+
+// Per-game config in saved/ruleset_<gameId>.txt overrides the GAME_RULESET preset
+export function loadRuleset(gameId) {
+  const filePath = `${SAVED_DIR}/ruleset_${gameId}.txt`;
+  if (fs.existsSync(filePath)) {
+    try {
+      const ruleset = resolveRuleset(
+        JSON.parse(fs.readFileSync(filePath, "utf8"))
+      );
+      log(`Loaded ruleset "${ruleset.name}" from ${filePath}`, gameId);
+      return ruleset;
+    } catch (error) {
+      log(`⚠️ Ignoring invalid ${filePath}: ${error.message}`, gameId);
+    }
+  }
+
+  return resolveRuleset({
+    preset: process.env.GAME_RULESET || DEFAULT_RULESET,
+  });
+}
+
+// Ruleset recorded in a saved map; maps saved before rulesets used the standard rules
+export function getMapRuleset(mapData) {
+  const recorded = mapData.metadata && mapData.metadata.ruleset;
+  return resolveRuleset(recorded || { preset: DEFAULT_RULESET });
+}
+
+// Ruleset a finished game was played under: the one recorded in its saved map,
+// else the configured one
+export function loadGameRuleset(gameId) {
+  const mapPath = `${SAVED_DIR}/map_${gameId}.txt`;
+  if (fs.existsSync(mapPath)) {
+    try {
+      return getMapRuleset(JSON.parse(fs.readFileSync(mapPath, "utf8")));
+    } catch (error) {
+      log(`⚠️ Ignoring ruleset in ${mapPath}: ${error.message}`, gameId);
+    }
+  }
+  return loadRuleset(gameId);
+}
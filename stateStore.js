@@ -0,0 +1,272 @@
+import fs from "fs";
+import { SAVED_DIR } from "./constants.js";
+import { log } from "./utils.js";
+import { ensureSavedDirectory } from "./fileService.js";
+
+// Durable game manager state, kept in saved/manager_state.txt
+//
+// Only what cannot be re-read from the contract is stored: skip/expiry flags,
+// completion, retry counters, the completed games count and event scan progress.
+// Game ids restart from zero when the contract is redeployed, so game records
+// are keyed by contract and game id, like the scan checkpoints.
+
+const STATE_FILE = `${SAVED_DIR}/manager_state.txt`;
+
+// Game state fields that survive a restart
+const PERSISTED_FIELDS = [
+  "phase",
+  "payoutSkipped",
+  "revealSkipped",
+  "expired",
+  "expiredReason",
+  "expiredAt",
+  "refunded",
+  "refundSkipped",
+  "completed",
+];
+
+let storeCache = null;
+
+function loadStore() {
+  if (storeCache) {
+    return storeCache;
+  }
+
+  storeCache = { games: {}, completedGamesCount: 0 };
+  try {
+    if (fs.existsSync(STATE_FILE)) {
+      storeCache = {
+        ...storeCache,
+        ...JSON.parse(fs.readFileSync(STATE_FILE, "utf8")),
+      };
+    }
+  } catch (error) {
+    log(`⚠️ Could not read ${STATE_FILE}: ${error.message}`);
+  }
+  return storeCache;
+}
+
+function writeStore() {
+  try {
+    ensureSavedDirectory();
+    const tempPath = `${STATE_FILE}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(storeCache, null, 2));
+    fs.renameSync(tempPath, STATE_FILE);
+  } catch (error) {
+    log(`❌ Failed to write ${STATE_FILE}: ${error.message}`);
+  }
+}
+
+function getGameKey(contractAddress, gameId) {
+  return `${contractAddress.toLowerCase()}:${gameId}`;
+}
+
+function getGameRecord(contractAddress, gameId) {
+  const store = loadStore();
+  const key = getGameKey(contractAddress, gameId);
+  if (!store.games[key]) {
+    store.games[key] = {};
+  }
+  return store.games[key];
+}
+
+// Game records of one contract as [gameId, record] pairs
+function getContractGameRecords(contractAddress) {
+  const prefix = `${contractAddress.toLowerCase()}:`;
+  return Object.entries(loadStore().games)
+    .filter(([key]) => key.startsWith(prefix))
+    .map(([key, record]) => [key.slice(prefix.length), record]);
+}
+
+// Records from before contract keying were written by the manager's only
+// contract, so they are moved under the contract it runs against now
+export function migrateLegacyGameRecords(contractAddress) {
+  const store = loadStore();
+  const legacyIds = Object.keys(store.games).filter(
+    (key) => !key.includes(":")
+  );
+  if (legacyIds.length === 0) {
+    return 0;
+  }
+
+  legacyIds.forEach((gameId) => {
+    const record = store.games[gameId];
+    const owner =
+      (record.discovered && record.discovered.contractAddress) ||
+      contractAddress;
+    const key = getGameKey(owner, gameId);
+    store.games[key] = { ...record, ...store.games[key] };
+    delete store.games[gameId];
+  });
+  writeStore();
+  return legacyIds.length;
+}
+
+export function getStoredGameState(contractAddress, gameId) {
+  return loadStore().games[getGameKey(contractAddress, gameId)] || null;
+}
+
+// Persist the durable fields of a game state, writing only when they change
+export function saveGameState(contractAddress, gameId, gameState) {
+  const record = getGameRecord(contractAddress, gameId);
+  let changed = false;
+
+  for (const field of PERSISTED_FIELDS) {
+    if (gameState[field] !== undefined && record[field] !== gameState[field]) {
+      record[field] = gameState[field];
+      changed = true;
+    }
+  }
+
+  if (changed) {
+    record.updatedAt = Date.now();
+    writeStore();
+  }
+}
+
+// kind is "payout", "reveal" or "refund"
+export function saveRetryState(
+  contractAddress,
+  kind,
+  gameId,
+  retryCount,
+  lastRetryTime
+) {
+  const record = getGameRecord(contractAddress, gameId);
+  record[`${kind}RetryCount`] = retryCount;
+  record[`${kind}LastRetryTime`] = lastRetryTime;
+  record.updatedAt = Date.now();
+  writeStore();
+}
+
+export function clearRetryState(contractAddress, kind, gameId) {
+  const record = getGameRecord(contractAddress, gameId);
+  if (
+    record[`${kind}RetryCount`] === undefined &&
+    record[`${kind}LastRetryTime`] === undefined
+  ) {
+    return;
+  }
+  delete record[`${kind}RetryCount`];
+  delete record[`${kind}LastRetryTime`];
+  record.updatedAt = Date.now();
+  writeStore();
+}
+
+export function isGameCompleted(contractAddress, gameId) {
+  const record = getStoredGameState(contractAddress, gameId);
+  return Boolean(record && record.completed);
+}
+
+export function markGameCompleted(contractAddress, gameId, gameState = {}) {
+  const store = loadStore();
+  const record = getGameRecord(contractAddress, gameId);
+  if (!record.completed) {
+    store.completedGamesCount++;
+  }
+
+  for (const field of PERSISTED_FIELDS) {
+    if (gameState[field] !== undefined) {
+      record[field] = gameState[field];
+    }
+  }
+  record.completed = true;
+  delete record.payoutRetryCount;
+  delete record.payoutLastRetryTime;
+  delete record.revealRetryCount;
+  delete record.revealLastRetryTime;
+  delete record.refundRetryCount;
+  delete record.refundLastRetryTime;
+  record.updatedAt = Date.now();
+  writeStore();
+
+  return store.completedGamesCount;
+}
+
+export function getCompletedGamesCount() {
+  return loadStore().completedGamesCount;
+}
+
+// Load retry counters back into the game manager's Maps on startup
+export function restoreRetryState(
+  contractAddress,
+  payoutRetryCount,
+  payoutLastRetryTime,
+  revealRetryCount,
+  revealLastRetryTime,
+  refundRetryCount,
+  refundLastRetryTime
+) {
+  let restored = 0;
+
+  for (const [gameId, record] of getContractGameRecords(contractAddress)) {
+    if (record.completed) continue;
+
+    if (record.payoutRetryCount !== undefined) {
+      payoutRetryCount.set(gameId, record.payoutRetryCount);
+      payoutLastRetryTime.set(gameId, record.payoutLastRetryTime || 0);
+      restored++;
+    }
+    if (record.revealRetryCount !== undefined) {
+      revealRetryCount.set(gameId, record.revealRetryCount);
+      revealLastRetryTime.set(gameId, record.revealLastRetryTime || 0);
+      restored++;
+    }
+    if (record.refundRetryCount !== undefined) {
+      refundRetryCount.set(gameId, record.refundRetryCount);
+      refundLastRetryTime.set(gameId, record.refundLastRetryTime || 0);
+      restored++;
+    }
+  }
+
+  return restored;
+}
+
+// Event scan checkpoints are keyed by contract and gamemaster
+function getScanKey(contractAddress, gamemaster) {
+  return `${contractAddress.toLowerCase()}:${gamemaster.toLowerCase()}`;
+}
+
+export function getScanCheckpoint(contractAddress, gamemaster) {
+  const store = loadStore();
+  const checkpoint = (store.scanCheckpoints || {})[
+    getScanKey(contractAddress, gamemaster)
+  ];
+  return checkpoint ? BigInt(checkpoint.lastScannedBlock) : null;
+}
+
+export function saveScanCheckpoint(contractAddress, gamemaster, blockNumber) {
+  const store = loadStore();
+  store.scanCheckpoints = store.scanCheckpoints || {};
+  store.scanCheckpoints[getScanKey(contractAddress, gamemaster)] = {
+    lastScannedBlock: blockNumber.toString(),
+    updatedAt: Date.now(),
+  };
+  writeStore();
+}
+
+// Games found by earlier scans, so a checkpointed scan doesn't lose them
+export function saveDiscoveredGame(contractAddress, game) {
+  const record = getGameRecord(contractAddress, game.gameId);
+  if (record.discovered) return;
+
+  record.discovered = {
+    contractAddress: contractAddress.toLowerCase(),
+    gamemaster: game.gamemaster,
+    creator: game.creator,
+    stakeAmount: game.stakeAmount.toString(),
+  };
+  record.updatedAt = Date.now();
+  writeStore();
+}
+
+export function getDiscoveredGames(contractAddress) {
+  return getContractGameRecords(contractAddress)
+    .filter(([, record]) => record.discovered)
+    .map(([gameId, record]) => ({
+      gameId,
+      gamemaster: record.discovered.gamemaster,
+      creator: record.discovered.creator,
+      stakeAmount: BigInt(record.discovered.stakeAmount),
+    }));
+}
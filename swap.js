@@ -0,0 +1,92 @@
+import dotenv from "dotenv";
+import { formatEther, parseUnits } from "viem";
+import { createClients } from "./clients.js";
+import {
+  USDC_ADDRESS,
+  WETH_ADDRESS,
+  formatUsdc,
+  applySlippage,
+  getBestQuote,
+  getEthAmountForUsdc,
+  swapEthForUsdc,
+  getBalances,
+  printBalances,
+  printQuotes,
+  parseSwapArgs,
+  USDC_DECIMALS,
+} from "./dex.js";
+
+dotenv.config();
+
+// Usage: yarn swap <usd amount> [--slippage <percent>] [--deadline <seconds>] [--dry-run]
+//
+// Buys roughly <usd amount> of USDC with ETH through whichever of Aerodrome and
+// Uniswap V2 quotes more. --dry-run prints the quotes without swapping.
+
+const USAGE =
+  "Usage: yarn swap <usd amount> [--slippage <percent>] [--deadline <seconds>] [--dry-run]";
+
+async function main() {
+  let options;
+  try {
+    options = parseSwapArgs(process.argv.slice(2), USAGE);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  try {
+    const { account, publicClient, walletClient } = createClients();
+    const usdcTarget = parseUnits(options.amount, USDC_DECIMALS);
+
+    const ethIn = await getEthAmountForUsdc(publicClient, usdcTarget);
+    const { best, quotes } = await getBestQuote(
+      publicClient,
+      WETH_ADDRESS,
+      USDC_ADDRESS,
+      ethIn
+    );
+
+    console.log(`\n🔄 Swap ${formatEther(ethIn)} ETH for USDC`);
+    printQuotes(quotes, formatUsdc, "USDC");
+    console.log(
+      `  Minimum received: ${formatUsdc(
+        applySlippage(best.amountOut, options.slippageBps)
+      )} USDC (${options.slippageBps / 100}% slippage), deadline ${
+        options.deadlineSeconds
+      }s`
+    );
+
+    const balances = await getBalances(publicClient, account.address);
+    printBalances(balances);
+    if (balances.eth < ethIn) {
+      throw new Error(
+        `Insufficient ETH: need ${formatEther(ethIn)}, have ${formatEther(
+          balances.eth
+        )}`
+      );
+    }
+
+    if (options.dryRun) {
+      console.log(`\n🧪 Dry run - nothing was swapped\n`);
+      process.exit(0);
+    }
+
+    const receipt = await swapEthForUsdc(
+      publicClient,
+      walletClient,
+      best,
+      options
+    );
+    console.log(
+      `✅ Swapped via ${best.router.name} (gas used ${receipt.gasUsed})`
+    );
+    printBalances(await getBalances(publicClient, account.address));
+    console.log();
+  } catch (error) {
+    console.error("❌ Error:", error.shortMessage || error.message);
+    process.exit(1);
+  }
+}
+
+main();
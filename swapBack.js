@@ -0,0 +1,91 @@
+import dotenv from "dotenv";
+import { formatEther, parseUnits } from "viem";
+import { createClients } from "./clients.js";
+import {
+  USDC_ADDRESS,
+  WETH_ADDRESS,
+  formatUsdc,
+  applySlippage,
+  getBestQuote,
+  swapUsdcForEth,
+  getBalances,
+  printBalances,
+  printQuotes,
+  parseSwapArgs,
+  USDC_DECIMALS,
+} from "./dex.js";
+
+dotenv.config();
+
+// Usage: yarn swap-back <usd amount> [--slippage <percent>] [--deadline <seconds>] [--dry-run]
+//
+// Sells <usd amount> USDC for ETH through whichever of Aerodrome and Uniswap V2
+// quotes more, approving the router for exactly that amount first if needed.
+// --dry-run prints the quotes without approving or swapping.
+
+const USAGE =
+  "Usage: yarn swap-back <usd amount> [--slippage <percent>] [--deadline <seconds>] [--dry-run]";
+
+async function main() {
+  let options;
+  try {
+    options = parseSwapArgs(process.argv.slice(2), USAGE);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  try {
+    const { account, publicClient, walletClient } = createClients();
+    const usdcIn = parseUnits(options.amount, USDC_DECIMALS);
+
+    const { best, quotes } = await getBestQuote(
+      publicClient,
+      USDC_ADDRESS,
+      WETH_ADDRESS,
+      usdcIn
+    );
+
+    console.log(`\n🔄 Swap ${formatUsdc(usdcIn)} USDC for ETH`);
+    printQuotes(quotes, formatEther, "ETH");
+    console.log(
+      `  Minimum received: ${formatEther(
+        applySlippage(best.amountOut, options.slippageBps)
+      )} ETH (${options.slippageBps / 100}% slippage), deadline ${
+        options.deadlineSeconds
+      }s`
+    );
+
+    const balances = await getBalances(publicClient, account.address);
+    printBalances(balances);
+    if (balances.usdc < usdcIn) {
+      throw new Error(
+        `Insufficient USDC: need ${formatUsdc(usdcIn)}, have ${formatUsdc(
+          balances.usdc
+        )}`
+      );
+    }
+
+    if (options.dryRun) {
+      console.log(`\n🧪 Dry run - nothing was approved or swapped\n`);
+      process.exit(0);
+    }
+
+    const receipt = await swapUsdcForEth(
+      publicClient,
+      walletClient,
+      best,
+      options
+    );
+    console.log(
+      `✅ Swapped via ${best.router.name} (gas used ${receipt.gasUsed})`
+    );
+    printBalances(await getBalances(publicClient, account.address));
+    console.log();
+  } catch (error) {
+    console.error("❌ Error:", error.shortMessage || error.message);
+    process.exit(1);
+  }
+}
+
+main();
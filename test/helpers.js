@@ -0,0 +1,59 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { privateKeyToAccount } from "viem/accounts";
+
+// Environment for a game server that is never started; set before
+// gameServer.js is imported, since constants.js reads it at load time
+export const GAMEMASTER_KEY =
+  "0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d";
+export const CONTRACT_ADDRESS = "0x00000000000000000000000000000000000c0de0";
+
+process.env.PRIVKEY = GAMEMASTER_KEY;
+process.env.SIWE_DOMAIN = "game.test";
+process.env.SAVED_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "game-test-"));
+process.on("exit", () => {
+  fs.rmSync(process.env.SAVED_DIR, { recursive: true, force: true });
+});
+delete process.env.GATEWAY_PORT;
+
+const { GameServerInstance } = await import("../gameServer.js");
+
+export const PLAYERS = [
+  privateKeyToAccount(
+    "0x5de4111afa1a4b94908f83103eb1f1706367c2e68ca870fc3fb9a804cdab365a"
+  ).address,
+  privateKeyToAccount(
+    "0x7c852118294e51e653712a81e05800f419141751be58f605c371e15141b007a6"
+  ).address,
+];
+
+// A game in progress on a size x size board of common tiles, with each
+// player at the given position
+export function createGame(ruleset, positions, publicClient = {}, size = 5) {
+  const game = new GameServerInstance(
+    "1",
+    publicClient,
+    CONTRACT_ADDRESS,
+    ruleset
+  );
+  const land = Array.from({ length: size }, () => Array(size).fill(1));
+  game.gameMap = { size, land, metadata: {} };
+  game.originalLand = land.map((row) => [...row]);
+  game.players = PLAYERS.slice(0, positions.length);
+
+  game.players.forEach((address, index) => {
+    const key = address.toLowerCase();
+    game.playerPositions.set(key, { ...positions[index] });
+    game.startingPositions.set(key, { ...positions[index] });
+    game.playerStats.set(key, {
+      score: 0,
+      movesRemaining: ruleset.maxMoves,
+      minesRemaining: ruleset.maxMines,
+      movesUsed: 0,
+      scansUsed: 0,
+      scoreReachedAt: null,
+    });
+  });
+  return game;
+}
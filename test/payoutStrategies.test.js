@@ -0,0 +1,51 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { computePayout } from "../payoutStrategies.js";
+import { resolveRuleset } from "../rulesets.js";
+
+const ruleset = resolveRuleset();
+
+function player(address, score, scoreReachedAt) {
+  return {
+    address,
+    score,
+    movesRemaining: 0,
+    minesRemaining: 0,
+    scoreReachedAt,
+  };
+}
+
+function winnerAddresses(payout) {
+  return payout.winners.map((winner) => winner.address);
+}
+
+test('"earliest" ties players without a scoreReachedAt', () => {
+  const payout = computePayout(
+    [player("0xa", 5, null), player("0xb", 5, null), player("0xc", 1, 10)],
+    { strategy: "top-scorers", tieBreak: "earliest" },
+    ruleset
+  );
+
+  assert.deepEqual(winnerAddresses(payout), ["0xa", "0xb"]);
+  payout.winners.forEach((winner) => assert.equal(winner.weight, 50));
+});
+
+test('"earliest" ranks a missing scoreReachedAt after a timed one', () => {
+  const payout = computePayout(
+    [player("0xa", 5, undefined), player("0xb", 5, 2000)],
+    { strategy: "top-scorers", tieBreak: "earliest" },
+    ruleset
+  );
+
+  assert.deepEqual(winnerAddresses(payout), ["0xb"]);
+});
+
+test('"earliest" pays whoever reached the score first', () => {
+  const payout = computePayout(
+    [player("0xa", 5, 3000), player("0xb", 5, 2000), player("0xc", 5, 2000)],
+    { strategy: "top-scorers", tieBreak: "earliest" },
+    ruleset
+  );
+
+  assert.deepEqual(winnerAddresses(payout), ["0xb", "0xc"]);
+});
@@ -0,0 +1,240 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import {
+  createPublicClient,
+  custom,
+  decodeAbiParameters,
+  decodeFunctionData,
+  encodeFunctionData,
+  encodeFunctionResult,
+  erc6492SignatureValidatorByteCode,
+  isErc6492Signature,
+  parseAbi,
+  parseErc6492Signature,
+  recoverAddress,
+  serializeErc6492Signature,
+  verifyMessage,
+} from "viem";
+import { privateKeyToAccount } from "viem/accounts";
+import { createGame } from "./helpers.js";
+import { resolveRuleset } from "../rulesets.js";
+
+// Two smart-contract wallets of the same owner: WALLET is deployed and
+// verified with EIP-1271, UNDEPLOYED_WALLET signs with ERC-6492 and is
+// deployed by FACTORY when the signature is checked
+const WALLET = "0x000000000000000000000000000000000000ba5e";
+const UNDEPLOYED_WALLET = "0x000000000000000000000000000000000000ca5e";
+const FACTORY = "0x0000000000000000000000000000000000fac7e5";
+const DEPLOY_DATA = "0xd3b10000";
+const ERC1271_MAGIC_VALUE = "0x1626ba7e";
+
+const owner = privateKeyToAccount(
+  "0x47e179ec197488593b187f80a00eb0da91f1b9d0b13f8733639f19c30a34926a"
+);
+const stranger = privateKeyToAccount(
+  "0x8b3a350cf5c34c9194ca85829a2df0ec3153be0318b5e2d3348e872092edffba"
+);
+
+const walletAbi = parseAbi([
+  "function isValidSignature(bytes32 hash, bytes signature) view returns (bytes4)",
+]);
+
+const deployedWallets = new Set([WALLET]);
+const walletCalls = [];
+
+// An eth_call to a wallet's isValidSignature: hashes signed by the owner are valid
+async function callWallet(address, data) {
+  walletCalls.push(address.toLowerCase());
+  const {
+    args: [hash, signature],
+  } = decodeFunctionData({ abi: walletAbi, data });
+  const signer = await recoverAddress({ hash, signature });
+  return encodeFunctionResult({
+    abi: walletAbi,
+    functionName: "isValidSignature",
+    result: signer === owner.address ? ERC1271_MAGIC_VALUE : "0xffffffff",
+  });
+}
+
+// What viem's deployless ERC-6492 validator does on-chain: deploy the wallet
+// from a wrapped signature, call isValidSignature when the address has code,
+// and recover the signer otherwise
+async function runSignatureValidator(data) {
+  const [address, hash, signature] = decodeAbiParameters(
+    [{ type: "address" }, { type: "bytes32" }, { type: "bytes" }],
+    `0x${data.slice(erc6492SignatureValidatorByteCode.length)}`
+  );
+
+  let innerSignature = signature;
+  if (isErc6492Signature(signature)) {
+    const wrapped = parseErc6492Signature(signature);
+    if (
+      wrapped.address.toLowerCase() === FACTORY &&
+      wrapped.data === DEPLOY_DATA
+    ) {
+      deployedWallets.add(UNDEPLOYED_WALLET);
+    }
+    innerSignature = wrapped.signature;
+  }
+
+  if (deployedWallets.has(address.toLowerCase())) {
+    const result = await callWallet(
+      address,
+      encodeFunctionData({
+        abi: walletAbi,
+        functionName: "isValidSignature",
+        args: [hash, innerSignature],
+      })
+    );
+    return result.startsWith(ERC1271_MAGIC_VALUE) ? "0x01" : "0x00";
+  }
+  const signer = await recoverAddress({ hash, signature: innerSignature });
+  return signer.toLowerCase() === address.toLowerCase() ? "0x01" : "0x00";
+}
+
+// A node that knows only the wallets and the validator
+const publicClient = createPublicClient({
+  transport: custom({
+    async request({ method, params }) {
+      if (method !== "eth_call") {
+        throw new Error(`Unexpected RPC call ${method}`);
+      }
+
+      const [{ to, data }] = params;
+      if (!to && data.startsWith(erc6492SignatureValidatorByteCode)) {
+        return runSignatureValidator(data);
+      }
+      if (to && deployedWallets.has(to.toLowerCase())) {
+        return callWallet(to, data);
+      }
+      return "0x";
+    },
+  }),
+});
+
+let game;
+let server;
+let baseUrl;
+
+before(async () => {
+  game = createGame(resolveRuleset(), [], publicClient);
+  game.players = [WALLET, UNDEPLOYED_WALLET];
+  server = await new Promise((resolve) => {
+    const listening = game.app.listen(0, "127.0.0.1", () => resolve(listening));
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+});
+
+async function getSiweMessage(address) {
+  const response = await fetch(`${baseUrl}/register?address=${address}`);
+  assert.equal(response.status, 200);
+  return (await response.json()).message;
+}
+
+async function postRegister(message, signature) {
+  const response = await fetch(`${baseUrl}/register`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ message, signature }),
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+test("POST /register accepts a deployed wallet's EIP-1271 signature", async () => {
+  const message = await getSiweMessage(WALLET);
+  const signature = await owner.signMessage({ message });
+
+  // Recovering the signer alone would reject it: the owner is not the wallet
+  assert.equal(
+    await verifyMessage({ address: WALLET, message, signature }),
+    false
+  );
+
+  walletCalls.length = 0;
+  const { status, body } = await postRegister(message, signature);
+  assert.equal(status, 200);
+  assert.equal(body.success, true);
+  assert.ok(body.token);
+  assert.deepEqual(walletCalls, [WALLET]);
+});
+
+test("POST /register rejects a signature the wallet doesn't accept", async () => {
+  const message = await getSiweMessage(WALLET);
+
+  const rejected = await postRegister(
+    message,
+    await stranger.signMessage({ message })
+  );
+  assert.equal(rejected.status, 401);
+  assert.equal(rejected.body.error, "Invalid signature");
+
+  // The nonce survives a bad signature, so the owner can still sign in
+  const { status } = await postRegister(
+    message,
+    await owner.signMessage({ message })
+  );
+  assert.equal(status, 200);
+});
+
+test("POST /register spends the nonce of a verified message", async () => {
+  const message = await getSiweMessage(WALLET);
+  const signature = await owner.signMessage({ message });
+
+  assert.equal((await postRegister(message, signature)).status, 200);
+  const replay = await postRegister(message, signature);
+  assert.equal(replay.status, 401);
+  assert.match(replay.body.error, /nonce/);
+});
+
+test("POST /register rejects an ERC-6492 signature with the wrong factory", async () => {
+  const message = await getSiweMessage(UNDEPLOYED_WALLET);
+  const signature = serializeErc6492Signature({
+    address: stranger.address,
+    data: DEPLOY_DATA,
+    signature: await owner.signMessage({ message }),
+  });
+
+  const rejected = await postRegister(message, signature);
+  assert.equal(rejected.status, 401);
+  assert.equal(rejected.body.error, "Invalid signature");
+  assert.equal(deployedWallets.has(UNDEPLOYED_WALLET), false);
+});
+
+test("POST /register accepts an undeployed wallet's ERC-6492 signature", async () => {
+  const message = await getSiweMessage(UNDEPLOYED_WALLET);
+  const signature = serializeErc6492Signature({
+    address: FACTORY,
+    data: DEPLOY_DATA,
+    signature: await owner.signMessage({ message }),
+  });
+
+  walletCalls.length = 0;
+  const { status, body } = await postRegister(message, signature);
+  assert.equal(status, 200);
+  assert.ok(body.token);
+  assert.deepEqual(walletCalls, [UNDEPLOYED_WALLET]);
+});
+
+test("GET /register drops a client's oldest nonce past the cap", async () => {
+  const messages = [];
+  for (let i = 0; i < 6; i++) {
+    messages.push(await getSiweMessage(WALLET));
+  }
+
+  const oldest = await postRegister(
+    messages[0],
+    await owner.signMessage({ message: messages[0] })
+  );
+  assert.equal(oldest.status, 401);
+  assert.match(oldest.body.error, /nonce is unknown/);
+
+  const newest = await postRegister(
+    messages[5],
+    await owner.signMessage({ message: messages[5] })
+  );
+  assert.equal(newest.status, 200);
+});
@@ -0,0 +1,118 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createGame, PLAYERS } from "./helpers.js";
+import { resolveRuleset } from "../rulesets.js";
+
+const [alice, bob] = PLAYERS;
+
+function centreCell(view) {
+  return view[1][1];
+}
+
+test("showPlayers lists other players on tiles in the local view", () => {
+  const game = createGame(resolveRuleset({ showPlayers: true }), [
+    { x: 2, y: 2 },
+    { x: 3, y: 2 },
+  ]);
+
+  const { view } = game.getLocalMapView(alice);
+  assert.deepEqual(view[1][2].otherPlayers, [bob]);
+  assert.deepEqual(centreCell(view).otherPlayers, []);
+  assert.deepEqual(view[0][0].otherPlayers, []);
+});
+
+test("without showPlayers the local view has no player positions", () => {
+  const game = createGame(resolveRuleset(), [
+    { x: 2, y: 2 },
+    { x: 3, y: 2 },
+  ]);
+
+  const { view } = game.getLocalMapView(alice);
+  view.flat().forEach((cell) => assert.equal(cell.otherPlayers, undefined));
+});
+
+test("blockOccupiedTiles rejects a move onto another player", () => {
+  const ruleset = resolveRuleset({ blockOccupiedTiles: true });
+  const game = createGame(ruleset, [
+    { x: 2, y: 2 },
+    { x: 3, y: 2 },
+  ]);
+
+  const result = game.movePlayer(alice, "east");
+  assert.equal(result.success, false);
+  assert.equal(result.error, "Tile occupied by another player");
+  assert.deepEqual(game.playerPositions.get(alice.toLowerCase()), {
+    x: 2,
+    y: 2,
+  });
+  assert.equal(
+    game.playerStats.get(alice.toLowerCase()).movesRemaining,
+    ruleset.maxMoves
+  );
+
+  // Free tiles are still open
+  assert.equal(game.movePlayer(alice, "west").success, true);
+});
+
+test("without blockOccupiedTiles players can share a tile", () => {
+  const game = createGame(resolveRuleset(), [
+    { x: 2, y: 2 },
+    { x: 3, y: 2 },
+  ]);
+
+  const result = game.movePlayer(alice, "east");
+  assert.equal(result.success, true);
+  assert.deepEqual(result.newPosition, { x: 3, y: 2 });
+});
+
+test('sameTickMining "both" credits a second mine within the tick', () => {
+  const ruleset = resolveRuleset({ sameTickMining: "both" });
+  const game = createGame(ruleset, [
+    { x: 2, y: 2 },
+    { x: 2, y: 2 },
+  ]);
+
+  const first = game.minePlayer(alice);
+  const second = game.minePlayer(bob);
+  assert.equal(first.success, true);
+  assert.equal(second.success, true);
+  assert.equal(second.tile, 1);
+  assert.equal(second.pointsEarned, ruleset.tilePoints[1]);
+  assert.equal(game.gameMap.land[2][2], 0);
+  assert.deepEqual(game.depletedTiles, [{ x: 2, y: 2 }]);
+
+  // Neither player can mine the tile twice
+  assert.equal(game.minePlayer(alice).error, "Tile already mined");
+});
+
+test('sameTickMining "both" rejects a mine after the tick has passed', () => {
+  const ruleset = resolveRuleset({ sameTickMining: "both" });
+  const game = createGame(ruleset, [
+    { x: 2, y: 2 },
+    { x: 2, y: 2 },
+  ]);
+
+  game.minePlayer(alice);
+  game.recentMines.get("2,2").timestamp -= ruleset.mineTickMs + 1;
+
+  const result = game.minePlayer(bob);
+  assert.equal(result.success, false);
+  assert.equal(result.error, "Tile already mined");
+});
+
+test('sameTickMining "first" rejects a second mine within the tick', () => {
+  const ruleset = resolveRuleset({ sameTickMining: "first" });
+  const game = createGame(ruleset, [
+    { x: 2, y: 2 },
+    { x: 2, y: 2 },
+  ]);
+
+  assert.equal(game.minePlayer(alice).success, true);
+  const result = game.minePlayer(bob);
+  assert.equal(result.success, false);
+  assert.equal(result.error, "Tile already mined");
+
+  const bobStats = game.playerStats.get(bob.toLowerCase());
+  assert.equal(bobStats.score, 0);
+  assert.equal(bobStats.minesRemaining, ruleset.maxMines);
+});
@@ -0,0 +1,201 @@
+import fs from "fs";
+import { keccak256, toBytes, recoverMessageAddress } from "viem";
+import { SAVED_DIR } from "./constants.js";
+import { log } from "./utils.js";
+import { ensureSavedDirectory } from "./fileService.js";
+
+// Signed, hash-chained transcript of every accepted player action
+
+export function getTranscriptFilePath(gameId) {
+  return `${SAVED_DIR}/transcript_${gameId}.txt`;
+}
+
+// Hash covers every field except the hash and signature themselves, in a fixed order
+export function hashTranscriptEntry(entry) {
+  const payload = {
+    gameId: entry.gameId,
+    index: entry.index,
+    player: entry.player,
+    action: entry.action,
+    direction: entry.direction,
+    position: { x: entry.position.x, y: entry.position.y },
+    tile: entry.tile,
+    points: entry.points,
+    timestamp: entry.timestamp,
+    prevHash: entry.prevHash,
+  };
+  return keccak256(toBytes(JSON.stringify(payload)));
+}
+
+export function createTranscriptEntry(gameId, index, prevHash, action) {
+  const entry = {
+    gameId,
+    index,
+    player: action.player.toLowerCase(),
+    action: action.action,
+    direction: action.direction || null,
+    position: { x: action.position.x, y: action.position.y },
+    tile: action.tile,
+    points: action.points || 0,
+    timestamp: action.timestamp || Date.now(),
+    prevHash,
+  };
+  entry.hash = hashTranscriptEntry(entry);
+  return entry;
+}
+
+export async function signTranscriptEntry(entry, account) {
+  const signature = await account.signMessage({
+    message: { raw: entry.hash },
+  });
+  return { ...entry, signature };
+}
+
+// Transcript is stored as one JSON entry per line so it can only be appended to
+export function appendTranscriptEntry(gameId, entry) {
+  ensureSavedDirectory();
+  fs.appendFileSync(
+    getTranscriptFilePath(gameId),
+    JSON.stringify(entry) + "\n"
+  );
+}
+
+// Start a fresh transcript when a game server starts from the beginning
+export function resetTranscript(gameId) {
+  const filePath = getTranscriptFilePath(gameId);
+  if (fs.existsSync(filePath)) {
+    fs.unlinkSync(filePath);
+    log(`🧹 Removed old transcript file`, gameId);
+  }
+}
+
+export function loadTranscript(gameId) {
+  const filePath = getTranscriptFilePath(gameId);
+  try {
+    if (!fs.existsSync(filePath)) {
+      return [];
+    }
+    return fs
+      .readFileSync(filePath, "utf8")
+      .split("\n")
+      .filter((line) => line.trim().length > 0)
+      .map((line) => JSON.parse(line));
+  } catch (error) {
+    throw new Error(`Failed to load ${filePath}: ${error.message}`);
+  }
+}
+
+// Body of GET /transcript, live or archived
+export function buildTranscriptResponse(
+  gameId,
+  gamemaster,
+  genesisHash,
+  entries
+) {
+  return {
+    gameId,
+    gamemaster,
+    genesisHash,
+    headHash:
+      entries.length > 0 ? entries[entries.length - 1].hash : genesisHash,
+    count: entries.length,
+    entries,
+  };
+}
+
+// Check the hash chain and gamemaster signature of every entry
+export async function verifyTranscript(entries, genesisHash, gamemaster) {
+  let prevHash = genesisHash;
+
+  for (let i = 0; i < entries.length; i++) {
+    const entry = entries[i];
+
+    if (entry.index !== i) {
+      return { valid: false, index: i, error: `Expected index ${i}` };
+    }
+    if (entry.prevHash !== prevHash) {
+      return { valid: false, index: i, error: "Broken hash chain" };
+    }
+    if (hashTranscriptEntry(entry) !== entry.hash) {
+      return { valid: false, index: i, error: "Entry hash mismatch" };
+    }
+
+    const signer = await recoverMessageAddress({
+      message: { raw: entry.hash },
+      signature: entry.signature,
+    });
+    if (signer.toLowerCase() !== gamemaster.toLowerCase()) {
+      return { valid: false, index: i, error: `Signed by ${signer}` };
+    }
+
+    prevHash = entry.hash;
+  }
+
+  return { valid: true, count: entries.length, headHash: prevHash };
+}
+
+export class TranscriptRecorder {
+  constructor(gameId, account, genesisHash) {
+    this.gameId = gameId;
+    this.account = account;
+    this.genesisHash = genesisHash;
+    this.entries = [];
+    this.headHash = genesisHash;
+    this.writeQueue = Promise.resolve();
+  }
+
+  // Chain position is fixed synchronously; signing and writing happen in order
+  record(action) {
+    const entry = createTranscriptEntry(
+      this.gameId,
+      this.entries.length,
+      this.headHash,
+      action
+    );
+    this.entries.push(entry);
+    this.headHash = entry.hash;
+    this.enqueueWrite(entry);
+
+    return entry;
+  }
+
+  // Continue the chain after a restart, signing entries that never reached disk
+  restore(entries) {
+    const persisted = loadTranscript(this.gameId);
+    this.entries = entries.map((entry, index) => persisted[index] || entry);
+    this.headHash =
+      this.entries.length > 0
+        ? this.entries[this.entries.length - 1].hash
+        : this.genesisHash;
+
+    this.entries.slice(persisted.length).forEach((entry) => {
+      this.enqueueWrite(entry);
+    });
+
+    log(
+      `📜 Restored transcript with ${this.entries.length} entries (${
+        this.entries.length - persisted.length
+      } pending signature)`,
+      this.gameId
+    );
+  }
+
+  enqueueWrite(entry) {
+    this.writeQueue = this.writeQueue
+      .then(async () => {
+        const signed = await signTranscriptEntry(entry, this.account);
+        entry.signature = signed.signature;
+        appendTranscriptEntry(this.gameId, signed);
+      })
+      .catch((error) => {
+        log(
+          `❌ Failed to record transcript entry ${entry.index}: ${error.message}`,
+          this.gameId
+        );
+      });
+  }
+
+  async flush() {
+    await this.writeQueue;
+  }
+}
@@ -1,8 +1,16 @@
+import { getActiveChain } from "./chains.js";
+
 // Logging utility
+// (chain managers started by the multi-chain supervisor set LOG_PREFIX, and
+// the --json modes of the admin CLI and yarn account set LOG_TO_STDERR to
+// keep stdout for JSON)
+const LOG_PREFIX = process.env.LOG_PREFIX ? `[${process.env.LOG_PREFIX}] ` : "";
+
 export function log(message, gameId = null) {
   const timestamp = new Date().toISOString();
   const prefix = gameId ? `[Game ${gameId}]` : `[System]`;
-  console.log(`${timestamp} ${prefix} ${message}`);
+  const write = process.env.LOG_TO_STDERR ? console.error : console.log;
+  write(`${timestamp} ${LOG_PREFIX}${prefix} ${message}`);
 }
 
 // Helper function to convert BigInt values to numbers for JSON serialization
@@ -73,9 +81,8 @@ export async function isGameTooOldToStart(
     const currentBlockNumber = await globalPublicClient.getBlockNumber();
     const blocksDiff = currentBlockNumber - commitBlockNumber;
 
-    // Ethereum typically keeps 256 blocks of history
-    // We'll use 240 as a safety margin
-    const MAX_BLOCK_AGE = 240;
+    // Contracts can read 256 blocks of history; the registry's window keeps a margin
+    const MAX_BLOCK_AGE = getActiveChain().blockhashWindow;
 
     if (blocksDiff > MAX_BLOCK_AGE) {
       log(
@@ -96,9 +103,10 @@ export async function isGameTooOldToStart(
 export function markGameAsExpired(gameId, gameStates, GamePhase) {
   const gameState = gameStates.get(gameId);
   if (gameState) {
-    gameState.phase = GamePhase.COMPLETE;
+    gameState.phase = GamePhase.EXPIRED;
     gameState.expired = true;
     gameState.expiredReason = "Block hash too old - game cannot be started";
+    gameState.expiredAt = Date.now();
     gameStates.set(gameId, gameState);
 
     log(
@@ -109,11 +117,14 @@ export function markGameAsExpired(gameId, gameStates, GamePhase) {
       `💡 This happens when too much time passes between commit and game closure`,
       gameId
     );
+    const { blockhashWindow, blockTime } = getActiveChain();
     log(
-      `⏰ Games must be closed within ~50 minutes of commit (256 blocks)`,
+      `⏰ Games must be closed within ~${Math.round(
+        (blockhashWindow * blockTime) / 60
+      )} minutes of commit (${blockhashWindow} blocks)`,
       gameId
     );
-    log(`🔄 Game will be removed from active processing`, gameId);
+    log(`💸 Player stakes will be refunded through the contract`, gameId);
   }
 }
 
@@ -0,0 +1,451 @@
+import dotenv from "dotenv";
+import fs from "fs";
+import { keccak256, concat, toBytes } from "viem";
+import {
+  DeterministicDice,
+  GameLandGenerator,
+  PlayerPositionGenerator,
+} from "deterministic-map";
+import { createPublicClientForChain } from "./clients.js";
+import { getActiveChain } from "./chains.js";
+import { FULL_CONTRACT_ABI, SAVED_DIR } from "./constants.js";
+import {
+  getTranscriptFilePath,
+  verifyTranscript,
+} from "./transcriptService.js";
+import { loadPayoutConfig, computePayout } from "./payoutStrategies.js";
+import { loadRuleset, getMapRuleset, hashRuleset } from "./rulesets.js";
+
+dotenv.config();
+
+// Usage: yarn verify <gameId> [transcript file]
+//
+// Each check passes, fails or stays unverified when the evidence for it is
+// missing. Exits 0 on PASS, 1 on FAIL and 2 when nothing failed but some
+// checks could not be verified.
+
+const CHECK_ICONS = { pass: "✅", fail: "❌", unverified: "⚠️" };
+
+function wrapCoordinate(coord, size) {
+  return ((coord % size) + size) % size;
+}
+
+// Accepts either the saved JSON-lines transcript or a saved GET /transcript response
+function loadActionLog(filePath) {
+  const contents = fs.readFileSync(filePath, "utf8").trim();
+  if (contents.startsWith("{") && contents.includes('"entries"')) {
+    try {
+      return JSON.parse(contents).entries;
+    } catch (error) {
+      // Fall through to JSON-lines parsing
+    }
+  }
+  return contents
+    .split("\n")
+    .filter((line) => line.trim().length > 0)
+    .map((line) => JSON.parse(line));
+}
+
+async function readContract(
+  publicClient,
+  contractAddress,
+  functionName,
+  gameId
+) {
+  return publicClient.readContract({
+    address: contractAddress,
+    abi: FULL_CONTRACT_ABI,
+    functionName,
+    args: [BigInt(gameId)],
+  });
+}
+
+// Rebuild the map and starting positions exactly as game.js startGameServer does
+function rebuildGame(gameId, randomHash, mapSize, players, ruleset) {
+  const dice = new DeterministicDice(randomHash);
+  const mapGenerator = new GameLandGenerator(dice, mapSize);
+  mapGenerator.generateLand();
+  mapGenerator.placeStartingPosition();
+
+  const land = mapGenerator.land.map((row) => [...row]);
+  const positionGenerator = new PlayerPositionGenerator(randomHash);
+  const playerState = new Map();
+
+  players.forEach((address) => {
+    const startPos = positionGenerator.generateStartingPosition(
+      address,
+      gameId,
+      mapSize
+    );
+    playerState.set(address.toLowerCase(), {
+      address,
+      position: {
+        x: wrapCoordinate(startPos.x, mapSize),
+        y: wrapCoordinate(startPos.y, mapSize),
+      },
+      score: 0,
+      movesRemaining: ruleset.maxMoves,
+      minesRemaining: ruleset.maxMines,
+      movesUsed: 0,
+      scansUsed: 0,
+      scoreReachedAt: null,
+    });
+  });
+
+  return {
+    size: mapGenerator.size,
+    land,
+    playerState,
+    ruleset,
+    recentMines: new Map(), // "x,y" -> { tile, timestamp, players }
+  };
+}
+
+// Apply one action; returns an error string at the first divergence
+function replayAction(game, entry) {
+  const player = game.playerState.get(entry.player.toLowerCase());
+  if (!player) {
+    return `Player ${entry.player} is not registered for this game`;
+  }
+
+  if (entry.action === "move") {
+    if (player.movesRemaining <= 0) return "No moves remaining";
+    const dirVector = game.ruleset.directions[entry.direction];
+    if (!dirVector) return `Invalid direction "${entry.direction}"`;
+
+    const x = wrapCoordinate(player.position.x + dirVector.x, game.size);
+    const y = wrapCoordinate(player.position.y + dirVector.y, game.size);
+    if (entry.position.x !== x || entry.position.y !== y) {
+      return `Expected position (${x}, ${y}), log has (${entry.position.x}, ${entry.position.y})`;
+    }
+    if (entry.tile !== game.land[y][x]) {
+      return `Expected tile ${game.land[y][x]} at (${x}, ${y}), log has ${entry.tile}`;
+    }
+    if (game.ruleset.blockOccupiedTiles) {
+      const occupied = Array.from(game.playerState.values()).some(
+        (other) =>
+          other !== player && other.position.x === x && other.position.y === y
+      );
+      if (occupied) return `Moved onto occupied tile (${x}, ${y})`;
+    }
+
+    player.position = { x, y };
+    player.movesRemaining--;
+    player.movesUsed++;
+    return null;
+  }
+
+  if (entry.action === "scan") {
+    if (game.ruleset.scanRadius === 0) return "Scanning is disabled";
+    if (player.movesRemaining <= 0) return "No moves remaining";
+    const { x, y } = player.position;
+    if (entry.position.x !== x || entry.position.y !== y) {
+      return `Player is at (${x}, ${y}), log scans (${entry.position.x}, ${entry.position.y})`;
+    }
+
+    player.movesRemaining--;
+    player.movesUsed++;
+    player.scansUsed++;
+    return null;
+  }
+
+  if (entry.action === "mine") {
+    if (player.minesRemaining <= 0) return "No mines remaining";
+    const { x, y } = player.position;
+    if (entry.position.x !== x || entry.position.y !== y) {
+      return `Player is at (${x}, ${y}), log mines (${entry.position.x}, ${entry.position.y})`;
+    }
+
+    // Under sameTickMining "both" a second player may mine within mineTickMs
+    const key = `${x},${y}`;
+    const recentMine = game.recentMines.get(key);
+    const sameTick =
+      game.land[y][x] === 0 &&
+      game.ruleset.sameTickMining === "both" &&
+      recentMine &&
+      !recentMine.players.has(entry.player.toLowerCase()) &&
+      entry.timestamp - recentMine.timestamp <= game.ruleset.mineTickMs;
+
+    const tile = sameTick ? recentMine.tile : game.land[y][x];
+    if (tile === 0) return `Tile (${x}, ${y}) already mined`;
+    if (entry.tile !== tile) {
+      return `Expected tile ${tile} at (${x}, ${y}), log has ${entry.tile}`;
+    }
+    const points = game.ruleset.tilePoints[tile] || 0;
+    if (entry.points !== points) {
+      return `Expected ${points} points, log has ${entry.points}`;
+    }
+
+    player.score += points;
+    if (points > 0) {
+      player.scoreReachedAt = entry.timestamp;
+    }
+    player.minesRemaining--;
+    if (sameTick) {
+      recentMine.players.add(entry.player.toLowerCase());
+    } else {
+      game.land[y][x] = 0;
+      game.recentMines.set(key, {
+        tile,
+        timestamp: entry.timestamp,
+        players: new Set([entry.player.toLowerCase()]),
+      });
+    }
+    return null;
+  }
+
+  return `Unknown action "${entry.action}"`;
+}
+
+// Use the ruleset recorded in the saved map when there is one
+function getRuleset(gameId) {
+  const mapPath = `${SAVED_DIR}/map_${gameId}.txt`;
+  try {
+    const mapData = JSON.parse(fs.readFileSync(mapPath, "utf8"));
+    return {
+      ruleset: getMapRuleset(mapData),
+      recordedHash: mapData.metadata.rulesetHash || null,
+    };
+  } catch (error) {
+    // No local map file, fall back to the configured ruleset
+  }
+  return { ruleset: loadRuleset(gameId), recordedHash: null };
+}
+
+// Use the strategy recorded in the saved scores file when there is one
+function getPayoutConfig(gameId) {
+  const scoresPath = `${SAVED_DIR}/scores_${gameId}.txt`;
+  try {
+    const { payout } = JSON.parse(fs.readFileSync(scoresPath, "utf8"));
+    if (payout && payout.strategy) {
+      return { strategy: payout.strategy, ...payout.options };
+    }
+  } catch (error) {
+    // No local scores file, fall back to the configured strategy
+  }
+  return loadPayoutConfig(gameId);
+}
+
+function sameAddressSet(a, b) {
+  const left = a.map((address) => address.toLowerCase()).sort();
+  const right = b.map((address) => address.toLowerCase()).sort();
+  return (
+    left.length === right.length &&
+    left.every((address, index) => address === right[index])
+  );
+}
+
+async function main() {
+  const gameId = process.argv[2];
+  if (!gameId || isNaN(parseInt(gameId))) {
+    console.error("❌ Usage: yarn verify <gameId> [transcript file]");
+    process.exit(1);
+  }
+
+  const contractAddress =
+    process.env.CONTRACT_ADDRESS || getActiveChain().contractAddress;
+  if (!contractAddress) {
+    console.error("❌ CONTRACT_ADDRESS not found in .env file");
+    process.exit(1);
+  }
+
+  const logPath = process.argv[3] || getTranscriptFilePath(gameId);
+  const checks = [];
+  const check = (name, passed, detail = "") => {
+    checks.push({ name, status: passed ? "pass" : "fail", detail });
+  };
+  const unverified = (name, detail) => {
+    checks.push({ name, status: "unverified", detail });
+  };
+
+  try {
+    const publicClient = createPublicClientForChain();
+
+    const [
+      committedHash,
+      ,
+      revealValue,
+      randomHash,
+      hasCommitted,
+      hasRevealed,
+      ,
+      contractMapSize,
+    ] = await readContract(
+      publicClient,
+      contractAddress,
+      "getCommitRevealState",
+      gameId
+    );
+
+    if (!hasCommitted || !hasRevealed) {
+      console.error(`❌ Game ${gameId} has not been revealed yet`);
+      process.exit(1);
+    }
+
+    check(
+      "Reveal matches committed hash",
+      keccak256(toBytes(revealValue)) === committedHash
+    );
+
+    try {
+      const commitBlockHash = await readContract(
+        publicClient,
+        contractAddress,
+        "getCommitBlockHash",
+        gameId
+      );
+      check(
+        "Random hash = keccak256(commitBlockHash, reveal)",
+        keccak256(concat([commitBlockHash, revealValue])) === randomHash
+      );
+    } catch (error) {
+      unverified(
+        "Random hash = keccak256(commitBlockHash, reveal)",
+        "commit block hash not available, trusting the on-chain randomHash"
+      );
+    }
+
+    const players = await readContract(
+      publicClient,
+      contractAddress,
+      "getPlayers",
+      gameId
+    );
+    const [gamemaster] = await readContract(
+      publicClient,
+      contractAddress,
+      "getGameInfo",
+      gameId
+    );
+    const { ruleset, recordedHash } = getRuleset(gameId);
+    const rulesetHash = hashRuleset(ruleset);
+    if (recordedHash) {
+      check(
+        "Ruleset matches hash in map metadata",
+        rulesetHash === recordedHash,
+        `ruleset "${ruleset.name}"`
+      );
+    }
+
+    const mapSize =
+      Number(contractMapSize) > 0
+        ? Number(contractMapSize)
+        : 1 + ruleset.mapMultiplier * players.length;
+
+    const entries = loadActionLog(logPath);
+    console.log(
+      `\n🔎 Verifying game ${gameId}: ${players.length} players, ${mapSize}x${mapSize} map, ${entries.length} actions from ${logPath}`
+    );
+    console.log(
+      `📏 Ruleset "${ruleset.name}": ${ruleset.timerDuration}s, ${ruleset.maxMoves} moves, ${ruleset.maxMines} mines (${rulesetHash})`
+    );
+
+    const unsignedCount = entries.filter((entry) => !entry.signature).length;
+    if (unsignedCount === 0) {
+      const transcriptResult = await verifyTranscript(
+        entries,
+        randomHash,
+        gamemaster
+      );
+      check(
+        "Transcript hash chain and gamemaster signatures",
+        transcriptResult.valid,
+        transcriptResult.valid
+          ? ""
+          : `entry ${transcriptResult.index}: ${transcriptResult.error}`
+      );
+    } else if (unsignedCount < entries.length) {
+      check(
+        "Transcript hash chain and gamemaster signatures",
+        false,
+        `${unsignedCount} of ${entries.length} entries are unsigned`
+      );
+    } else {
+      unverified(
+        "Transcript hash chain and gamemaster signatures",
+        "action log is unsigned, so the actions can't be attributed to the gamemaster"
+      );
+    }
+
+    const game = rebuildGame(gameId, randomHash, mapSize, players, ruleset);
+    let divergence = null;
+    for (let i = 0; i < entries.length; i++) {
+      const error = replayAction(game, entries[i]);
+      if (error) {
+        divergence = { index: i, entry: entries[i], error };
+        break;
+      }
+    }
+    check(
+      "Replay of every action",
+      divergence === null,
+      divergence ? `first divergence at action ${divergence.index}` : ""
+    );
+
+    const finalScores = Array.from(game.playerState.values());
+    const payout = computePayout(
+      finalScores,
+      getPayoutConfig(gameId),
+      game.ruleset
+    );
+    const expectedWinners = payout.winners.map((w) => w.address);
+    console.log(
+      `\n💰 Payout strategy: ${payout.strategy} (${JSON.stringify(
+        payout.options
+      )})`
+    );
+
+    const [winners, , hasPaidOut] = await readContract(
+      publicClient,
+      contractAddress,
+      "getPayoutInfo",
+      gameId
+    );
+    if (hasPaidOut) {
+      check(
+        "Winners match getPayoutInfo",
+        sameAddressSet(expectedWinners, winners),
+        `on-chain: [${winners.join(", ")}]`
+      );
+    } else {
+      unverified("Winners match getPayoutInfo", "not paid out yet");
+    }
+
+    console.log(`\n📊 Replayed scores:`);
+    finalScores.forEach((player) => {
+      const marker = expectedWinners.includes(player.address) ? " 🏆" : "";
+      console.log(
+        `  ${player.address}: ${player.score} (moves left ${player.movesRemaining}, mines left ${player.minesRemaining})${marker}`
+      );
+    });
+
+    console.log(`\n📋 Checks:`);
+    checks.forEach(({ name, status, detail }) => {
+      console.log(
+        `  ${CHECK_ICONS[status]} ${name}${detail ? ` (${detail})` : ""}`
+      );
+    });
+
+    if (divergence) {
+      console.log(`\n⚠️ First diverging action (#${divergence.index}):`);
+      console.log(`  ${JSON.stringify(divergence.entry)}`);
+      console.log(`  ${divergence.error}`);
+    }
+
+    if (checks.some((c) => c.status === "fail")) {
+      console.log(`\n❌ FAIL: game ${gameId}\n`);
+      process.exit(1);
+    }
+    if (checks.some((c) => c.status === "unverified")) {
+      console.log(`\n⚠️ UNVERIFIED: game ${gameId}\n`);
+      process.exit(2);
+    }
+    console.log(`\n✅ PASS: game ${gameId}\n`);
+    process.exit(0);
+  } catch (error) {
+    console.error("❌ Error:", error.message);
+    process.exit(1);
+  }
+}
+
+main();